@@ -2,15 +2,37 @@
    script.js — lengkap & final
    ============================
    Fitur:
-   - Tokenizer & Shunting-yard -> RPN
-   - Evaluator RPN
+   - Tokenizer & Shunting-yard -> RPN (single letters or multi-character identifiers)
+   - Evaluator RPN (NOT, AND, NAND, XOR, XNOR, OR, NOR, ->, <->; ASCII + Unicode symbols)
    - Truth table generator
-   - K-Map (2..4 vars) Gray code layout; interactive cells (0/1/d)
+   - Expression AST + law-by-law algebraic derivation (checked against QM)
+   - Equivalence checker for two expressions (counterexamples, implication relation)
+   - K-Map (1..6 vars) Gray code layout; 5/6 vars as side-by-side 4×4 sub-maps; interactive cells (0/1/d)
+   - Axis labels use the real variable names, Gray-code headers; variable reorder / row-column swap
    - Quine–McCluskey simplifier supporting don't-care
+   - Exact minimal cover (Petrick's method) listing all equally minimal solutions
+   - Step-by-step QM trace (grouping rounds, prime list, PI chart, cover choices)
+   - Implicant loops on the K-Map (wrap-around aware), hover to highlight, also in PNG
    - Mode SOP / POS conversion (POS via QM on zeros)
+   - Multiple named outputs (F = …; G = … or F: 1,3; G: 2,5) with K-Map tabs
+   - Multi-output QM sharing product terms, gate / literal cost vs. separate minimization
+   - Gate-level circuit diagram (SVG) from the minimal cover or the parsed expression; SVG / PNG download
+   - Live simulation: input switches, output LEDs, highlighted TT row / K-Map cell, wire values; step / auto (binary or Gray)
+   - Verilog / VHDL export (expression or minimal SOP / POS) with an exhaustive self-checking testbench
+   - Canonical Σm / ΠM, minimal SOP / POS, NAND-only / NOR-only forms with copy buttons
    - Import/Export minterm strings, supports d prefix/suffix
+   - Truth-table files: CSV, Berkeley PLA (multi-output, '-' don't-cares) and JSON import/export with validation
    - Export K-Map to PNG (canvas)
    - Benchmark QM timings
+   - Full state in the URL hash (shareable links) and named sessions in localStorage
+   - Undo / redo (Ctrl+Z / Ctrl+Y) with a history list to jump to any earlier step
+   - Keyboard / screen-reader access: K-Map grid and truth table outputs editable with arrows, 0/1/d/Space
+   - Editable truth table kept in sync with the K-Map; hand edits of an evaluated expression can be reverted
+   - Integer (value/mask) QM with hashed combining and bitset cover rows; 8+ variables run in a Web Worker with progress / cancel
+   - Espresso-style heuristic engine (EXPAND / IRREDUNDANT / REDUCE) selectable next to the mode toggle
+   - Static-1 / static-0 hazard analysis marked on the K-Map; optional hazard-free cover with consensus terms
+   - Sequential design: state table editor, binary / Gray / one-hot assignment, D / T / JK / SR excitation K-Maps
+   - Practice mode: random functions (2–6 vars, don't-cares), minimal SOP / POS answers graded with feedback, score history
    - Dark/Light theme toggle (saved to localStorage)
    - Tooltips + UI wiring
 */
@@ -18,7 +40,8 @@
 /* ===== constants ===== */
 const GRAY2 = [0,1];
 const GRAY4 = [0,1,3,2];
-const MAX_VARS = 4;
+const MAX_VARS = 6;         // 5 and 6 variables use 2 / 4 side-by-side 4×4 sub-maps
+const LOOP_COLORS = ['#e4572e','#29b6f6','#ab47bc','#ffca28','#66bb6a','#ec407a','#26a69a','#8d6e63'];
 
 /* ===== DOM helpers ===== */
 const $ = id => document.getElementById(id);
@@ -43,54 +66,120 @@ let currentVars = [];      // array of var names (order)
 let currentRPN = null;     // rpn tokens
 let currentKMap = { vars: [], n:0, layout:null, cells:[], dc:[], total:0 };
 let mode = 'SOP';          // SOP or POS
+let engine = 'qm';         // minimizer: 'qm' (exact) or 'espresso' (heuristic)
+let hazardFree = false;    // add consensus terms so the shown cover has no static hazards
+let outputs = [];          // [{name, cells, dc, rpn}] over currentKMap.vars; the K-Map shows outputs[activeOutput]
+let activeOutput = 0;
+let currentCircuit = null; // netlist drawn in #circuit
+let simInput = 0;          // minterm applied by the live simulation
+let simTimer = null;
+let restoringState = false; // set while a saved state is applied, so it is not recorded again
+let undoStack = [], undoIndex = -1; // undo/redo steps: [{label, auto, state, time}]
+let quiz = null;           // practice question: {vars, form, minterms, dontCares, result}
+let fsmTable = null;       // state table being edited: {states, inputs, outputs, rows: [{next, out}]}
 
 /* ====== Tokenizer & Shunting-yard parser ====== */
 /*
  Supports:
- - VAR: A..Z
- - NUM: 0/1
- - NOT: ' (postfix), !, ~ (prefix)
- - AND: &, * or implicit (AB)
- - OR: + or |
- - XOR: ^
+ - VAR: A..Z (letter mode: one letter per variable, case-insensitive)
+        identifier mode: [A-Za-z_][A-Za-z0-9_]* case-sensitive (EN, clk, A1);
+        adjacent names then need a space or operator for implicit AND
+ - NUM: 0/1 (identifier mode also true/false)
  - parentheses ( )
+ Operators, tightest first (identifier mode also accepts the keywords
+ not/and/nand/xor/xnor/or/nor, case-insensitive):
+   prec  op       symbols                       assoc
+   6     NOT      ' (postfix), !, ~, ¬ (prefix)  —
+   5     AND      &, *, ·, ∧, implicit (AB)      left
+   5     NAND     ↑, !&, ~&                      left   (A↑B↑C = (A↑B)↑C)
+   4     XOR      ^, ⊕                           left
+   4     XNOR     ⊙, !^, ~^                      left
+   3     OR       +, |, ∨                        left
+   3     NOR      ↓, !|, ~|                      left
+   2     IMPLIES  ->, =>, →, ⇒                   right  (A→B→C = A→(B→C))
+   1     IFF      <->, <=>, ==, ↔, ⇔, ≡          left
+ Whitespace is skipped, so positions refer to the text as typed.
 */
-function tokenize(expr){
-  const src = String(expr || '').replace(/\s+/g, '');
+const NOT_PRECEDENCE = 6;
+const BINARY_OPS = {
+  AND:     { precedence: 5, associativity: 'left',  fn: (a,b) => a && b },
+  NAND:    { precedence: 5, associativity: 'left',  fn: (a,b) => !(a && b) },
+  XOR:     { precedence: 4, associativity: 'left',  fn: (a,b) => a !== b },
+  XNOR:    { precedence: 4, associativity: 'left',  fn: (a,b) => a === b },
+  OR:      { precedence: 3, associativity: 'left',  fn: (a,b) => a || b },
+  NOR:     { precedence: 3, associativity: 'left',  fn: (a,b) => !(a || b) },
+  IMPLIES: { precedence: 2, associativity: 'right', fn: (a,b) => !a || b },
+  IFF:     { precedence: 1, associativity: 'left',  fn: (a,b) => a === b }
+};
+// longest symbols first so '<->' wins over '->' and '!&' over prefix '!'
+const OP_SYMBOLS = [
+  ['<->','IFF'], ['<=>','IFF'], ['->','IMPLIES'], ['=>','IMPLIES'], ['==','IFF'],
+  ['!&','NAND'], ['~&','NAND'], ['!|','NOR'], ['~|','NOR'], ['!^','XNOR'], ['~^','XNOR'],
+  ['&','AND'], ['*','AND'], ['·','AND'], ['∧','AND'], ['↑','NAND'],
+  ['^','XOR'], ['⊕','XOR'], ['⊙','XNOR'],
+  ['+','OR'], ['|','OR'], ['∨','OR'], ['↓','NOR'],
+  ['→','IMPLIES'], ['⇒','IMPLIES'], ['↔','IFF'], ['⇔','IFF'], ['≡','IFF']
+];
+const NOT_SYMBOLS = ['!', '~', '¬'];
+const OP_KEYWORDS = { and: 'AND', nand: 'NAND', xor: 'XOR', xnor: 'XNOR', or: 'OR', nor: 'NOR' };
+
+function opToken(value){ return {type:'OP', value, precedence: BINARY_OPS[value].precedence, associativity: BINARY_OPS[value].associativity}; }
+function notToken(postfix){ return postfix ? {type:'OP', value:'NOT', unary:true, postfix:true, precedence: NOT_PRECEDENCE} : {type:'OP', value:'NOT', unary:true, precedence: NOT_PRECEDENCE}; }
+
+// Error carrying the offending source span (pos/len index the text as typed)
+function parseError(message, pos, len = 1){
+  const err = new Error(message);
+  err.pos = pos; err.len = len;
+  return err;
+}
+
+/* every token keeps its source offset: { ..., pos, len } */
+function tokenize(expr, opts = {}){
+  const src = String(expr || '');
+  const ident = !!opts.identifiers;
   const tokens = [];
+  const push = (tok, len) => { tok.pos = i; tok.len = len; tokens.push(tok); i += len; };
   let i = 0;
   while (i < src.length){
     const ch = src[i];
-    if (ch === '0' || ch === '1'){
-      tokens.push({type:'NUM', value: Number(ch)});
-      i++; continue;
-    }
-    if (/[A-Za-z]/.test(ch)){
-      const v = ch.toUpperCase();
-      tokens.push({type:'VAR', value: v});
-      i++;
-      // handle postfix ' repeated
-      let count = 0;
-      while (src[i] === "'"){ count++; i++; }
-      if (count % 2 === 1){
-        tokens.push({type:'OP', value:'NOT', unary:true, postfix:true, precedence: 4});
-      }
+    if (/\s/.test(ch)){ i++; continue; }
+    if (ch === "'"){
+      if (!isOperand(tokens[tokens.length-1])) throw parseError(`NOT postfix (') tanpa operand di depannya`, i);
+      push(notToken(true), 1); continue;
+    }
+    if (ident && /[A-Za-z_0-9]/.test(ch)){
+      const word = /^[A-Za-z_0-9]+/.exec(src.slice(i))[0];
+      if (/^[0-9]/.test(word)){
+        if (word !== '0' && word !== '1') throw parseError(`Konstanta tidak valid: '${word}' (hanya 0 atau 1)`, i, word.length);
+        push({type:'NUM', value: Number(word)}, word.length);
+      } else if (/^(true|false)$/i.test(word)){
+        push({type:'NUM', value: /^true$/i.test(word) ? 1 : 0}, word.length);
+      } else if (/^not$/i.test(word)) push(notToken(false), word.length);
+      else if (OP_KEYWORDS[word.toLowerCase()]) push(opToken(OP_KEYWORDS[word.toLowerCase()]), word.length);
+      else push({type:'VAR', value: word}, word.length);
       continue;
     }
-    if (ch === '('){ tokens.push({type:'LP'}); i++; continue; }
-    if (ch === ')'){ tokens.push({type:'RP'}); i++; continue; }
-    if (ch === '!' || ch === '~'){ tokens.push({type:'OP', value:'NOT', unary:true, precedence:4}); i++; continue; }
-    if (ch === '&' || ch === '*'){ tokens.push({type:'OP', value:'AND', precedence:3, associativity:'left'}); i++; continue;}
-    if (ch === '+' || ch === '|'){ tokens.push({type:'OP', value:'OR', precedence:1, associativity:'left'}); i++; continue;}
-    if (ch === '^'){ tokens.push({type:'OP', value:'XOR', precedence:2, associativity:'left'}); i++; continue;}
-    // unknown char -> throw with position for debugging
-    throw new Error(`Karakter tidak dikenali pada posisi ${i}: '${ch}'`);
+    if (ch === '0' || ch === '1'){ push({type:'NUM', value: Number(ch)}, 1); continue; }
+    if (/[A-Za-z]/.test(ch)){ push({type:'VAR', value: ch.toUpperCase()}, 1); continue; }
+    if (ch === '('){ push({type:'LP'}, 1); continue; }
+    if (ch === ')'){ push({type:'RP'}, 1); continue; }
+    const sym = OP_SYMBOLS.find(([txt]) => src.startsWith(txt, i));
+    if (sym){ push(opToken(sym[1]), sym[0].length); continue; }
+    if (NOT_SYMBOLS.includes(ch)){ push(notToken(false), 1); continue; }
+    throw parseError(`Karakter tidak dikenali: '${ch}'`, i);
   }
   return tokens;
 }
 
-function isOperand(tok){ return tok && (tok.type === 'VAR' || tok.type === 'NUM' || tok.type === 'RP'); }
-function beginsOperand(tok){ return tok && (tok.type === 'VAR' || tok.type === 'NUM' || tok.type === 'LP' || (tok.type === 'OP' && tok.value === 'NOT')); }
+// a postfix NOT closes an operand (A'B = A'·B); only a prefix NOT starts one
+function isOperand(tok){ return !!tok && (tok.type === 'VAR' || tok.type === 'NUM' || tok.type === 'RP' || (tok.type === 'OP' && tok.postfix)); }
+function beginsOperand(tok){ return !!tok && (tok.type === 'VAR' || tok.type === 'NUM' || tok.type === 'LP' || (tok.type === 'OP' && tok.value === 'NOT' && !tok.postfix)); }
+
+// variables named by the tokens, in display order (A2 before A10)
+function collectVars(tokens){
+  const names = tokens.filter(t => t.type === 'VAR').map(t => t.value);
+  return Array.from(new Set(names)).sort((a,b) => a.localeCompare(b, undefined, { numeric: true }));
+}
 
 function toRPN(tokens){
   // Inserts implicit AND when operand followed by operand
@@ -99,9 +188,10 @@ function toRPN(tokens){
     withImplicit.push(tokens[i]);
     const a = tokens[i], b = tokens[i+1];
     if (isOperand(a) && beginsOperand(b)){
-      withImplicit.push({type:'OP', value:'AND', precedence:3, associativity:'left', implicit:true});
+      withImplicit.push(Object.assign(opToken('AND'), { implicit: true, pos: b.pos, len: 0 }));
     }
   }
+  checkSyntax(withImplicit);
 
   const output = [];
   const stack = [];
@@ -121,26 +211,64 @@ function toRPN(tokens){
     if (t.type === 'LP'){ stack.push(t); continue; }
     if (t.type === 'RP'){
       while (stack.length && stack[stack.length-1].type !== 'LP') output.push(stack.pop());
-      if (!stack.length) throw new Error('Kurung tidak seimbang');
+      if (!stack.length) throw parseError('Kurung tidak seimbang', t.pos);
       stack.pop(); // remove LP
       continue;
     }
   }
   while (stack.length){
     const s = stack.pop();
-    if (s.type === 'LP' || s.type === 'RP') throw new Error('Kurung tidak seimbang di akhir');
+    if (s.type === 'LP' || s.type === 'RP') throw parseError('Kurung tidak seimbang di akhir', s.pos);
     output.push(s);
   }
   return output;
 }
 
+/*
+ checkSyntax(tokens)
+ Walks the token list (implicit ANDs already inserted) expecting an operand
+ or an operator in turn, so dangling operators, empty '()', missing operands
+ and unmatched parentheses are reported with their source span here rather
+ than as a vague failure in evalRPN.
+*/
+function checkSyntax(tokens){
+  const opText = t => t.value === 'NOT' ? 'NOT' : t.value;
+  if (!tokens.length) throw parseError('Ekspresi kosong', 0, 0);
+  const open = [];
+  let expect = true; // true = an operand must come next
+  let prev = null;
+  for (const t of tokens){
+    if (t.type === 'VAR' || t.type === 'NUM'){ expect = false; }
+    else if (t.type === 'LP'){ open.push(t); expect = true; }
+    else if (t.type === 'RP'){
+      if (!open.length) throw parseError("Kurung tutup ')' tanpa pasangan '('", t.pos);
+      const lp = open.pop();
+      if (prev === lp) throw parseError('Kurung kosong ()', lp.pos, t.pos + t.len - lp.pos);
+      if (expect) throw parseError(`Operator ${opText(prev)} kekurangan operand kanan sebelum ')'`, prev.pos, prev.len || 1);
+      expect = false;
+    }
+    else if (t.type === 'OP' && t.unary && !t.postfix){ expect = true; }
+    else if (t.type === 'OP' && t.postfix){ /* tokenize already checked the operand */ }
+    else if (t.type === 'OP'){
+      if (expect){
+        if (!prev || prev.type === 'LP') throw parseError(`Operator ${opText(t)} kekurangan operand kiri`, t.pos, t.len);
+        throw parseError(`Operator ${opText(t)} tidak boleh mengikuti ${opText(prev)}`, t.pos, t.len);
+      }
+      expect = true;
+    }
+    prev = t;
+  }
+  if (expect) throw parseError(`Operator ${opText(prev)} di akhir kekurangan operand kanan`, prev.pos, prev.len || 1);
+  if (open.length) throw parseError("Kurung '(' tidak ditutup", open[open.length-1].pos);
+}
+
 /* ===== RPN Evaluator ===== */
 function evalRPN(rpn, env){
   const st = [];
   for (const t of rpn){
     if (t.type === 'NUM') st.push(Boolean(t.value));
     else if (t.type === 'VAR'){
-      if (!(t.value in env)) throw new Error(`Variabel ${t.value} tidak didefinisikan`);
+      if (!(t.value in env)) throw parseError(`Variabel ${t.value} tidak didefinisikan`, t.pos, t.len);
       st.push(Boolean(env[t.value]));
     } else if (t.type === 'OP'){
       if (t.value === 'NOT'){
@@ -149,10 +277,9 @@ function evalRPN(rpn, env){
       } else {
         if (st.length < 2) throw new Error(`Operator ${t.value} kekurangan operand`);
         const b = st.pop(), a = st.pop();
-        if (t.value === 'AND') st.push(a && b);
-        else if (t.value === 'OR') st.push(a || b);
-        else if (t.value === 'XOR') st.push(Boolean(a) !== Boolean(b));
-        else throw new Error('Operator tidak dikenal: ' + t.value);
+        const op = BINARY_OPS[t.value];
+        if (!op) throw new Error('Operator tidak dikenal: ' + t.value);
+        st.push(op.fn(a, b));
       }
     }
   }
@@ -161,21 +288,26 @@ function evalRPN(rpn, env){
 }
 
 /* ===== Quine-McCluskey (SOP) with don't-cares support ===== */
-/* helper functions */
-function countOnes(bin) { return bin.split('').filter(c=>c==='1').length; }
-function canCombine(a,b){
-  let diff = 0;
-  for (let i=0;i<a.length;i++){
-    if (a[i] !== b[i]) diff++;
-    if (diff > 1) return false;
-  }
-  return diff === 1;
+/*
+ Terms are integer pairs { v, m }: m has a 1 for every eliminated variable
+ ('-'), v holds the fixed bits (0 under m). Bit W-1 is the first variable.
+*/
+const PETRICK_ROWS = 64;  // more uncovered rows than this go straight to the greedy cover
+const TRACE_LIMIT = 300;  // larger rounds / charts are only summarised in the trace
+
+function termString(t, W){
+  let s = '';
+  for (let i=W-1;i>=0;i--) s += (t.m >> i) & 1 ? '-' : ((t.v >> i) & 1 ? '1' : '0');
+  return s;
 }
-function combinePattern(a,b){
-  let r = '';
-  for (let i=0;i<a.length;i++) r += (a[i] === b[i]) ? a[i] : '-';
-  return r;
+// every minterm of a term, ascending
+function termMinterms(t){
+  let list = [t.v];
+  for (let bit = 1; bit <= t.m; bit <<= 1) if (t.m & bit) list = list.flatMap(x => [x, x | bit]);
+  return list.sort((a,b)=>a-b);
 }
+function popcount(x){ let c = 0; while (x){ x &= x - 1; c++; } return c; }
+// does mask string imp contain the binary string bin
 function covers(imp, bin){
   for (let i=0;i<imp.length;i++){
     if (imp[i] === '-') continue;
@@ -185,122 +317,440 @@ function covers(imp, bin){
 }
 
 /*
- qmSimplify(minterms, varNames, dontCares)
- - minterms: array of ints that must be covered
- - dontCares: array of ints allowed to combine but not required to cover
- returns { implicants: [mask strings], sop: string }
-*/
-function qmSimplify(minterms, varNames, dontCares = []){
-  const W = varNames.length;
-  const allSet = Array.from(new Set([...(minterms||[]), ...(dontCares||[])]));
-  if (allSet.length === 0) return { implicants: [], sop: '0' };
-
-  // initial groups by ones count
-  let groups = {};
-  for (const m of allSet){
-    const b = toBin(m, W);
-    const k = countOnes(b);
-    (groups[k] = groups[k] || []).push({ bin: b, used: false, from: [b] });
-  }
-
-  const allCombinedLevels = [];
-  let anyCombined = true;
-
-  while (anyCombined){
-    anyCombined = false;
-    const newGroups = {};
-    const keys = Object.keys(groups).map(Number).sort((a,b)=>a-b);
-    for (let ki=0; ki<keys.length-1; ki++){
-      const g1 = groups[keys[ki]] || [];
-      const g2 = groups[keys[ki+1]] || [];
-      for (const a of g1) for (const b of g2){
-        if (canCombine(a.bin, b.bin)){
-          const c = combinePattern(a.bin, b.bin);
-          const ones = countOnes(c.replace(/-/g,''));
-          const item = { bin: c, used: false, from: [...new Set([...(a.from||[]), ...(b.from||[])])] };
-          (newGroups[ones] = newGroups[ones] || []).push(item);
-          a.used = true; b.used = true; anyCombined = true;
+ qmPrimes(cells, W, progress)
+ Hashed combining: terms are bucketed by mask, so the partner of (v, m) across
+ bit b is just v|b in the same bucket (a Set lookup, no pairwise compare).
+ Each round keeps the terms that did not combine as primes.
+ returns { primes: [{ v, m }] (round by round), rounds: [[{ v, m, used }]] }
+*/
+function qmPrimes(cells, W, progress){
+  const key = (v, m) => m * 2 ** W + v;
+  let level = new Map([[0, new Set(cells)]]);
+  const primes = [], rounds = [];
+  for (let round = 0; level.size; round++){
+    const next = new Map(), used = new Set();
+    let count = 0;
+    for (const [m, vals] of level){
+      count += vals.size;
+      for (const v of vals){
+        for (let bit = 1; bit < 1 << W; bit <<= 1){
+          if ((m & bit) || (v & bit) || !vals.has(v | bit)) continue;
+          if (!next.has(m | bit)) next.set(m | bit, new Set());
+          next.get(m | bit).add(v);
+          used.add(key(v, m)); used.add(key(v | bit, m));
         }
       }
     }
-    // dedupe newGroups
-    for (const k in newGroups){
-      const uniq = []; const seen = new Set();
-      for (const it of newGroups[k]){
-        const key = it.bin + '|' + (it.from || []).join(',');
-        if (!seen.has(key)){ seen.add(key); uniq.push(it); }
-      }
-      newGroups[k] = uniq;
-    }
-    // collect primes (not used)
-    const primes = [];
-    for (const k in groups) for (const it of groups[k]) if (!it.used) primes.push(it.bin);
-    allCombinedLevels.push(primes);
-    groups = newGroups;
+    const terms = [];
+    for (const [m, vals] of level) for (const v of vals) terms.push({ v, m, used: used.has(key(v, m)) });
+    // same order as the trace: by number of ones, then value
+    terms.sort((a, b) => popcount(a.v) - popcount(b.v) || a.m - b.m || a.v - b.v);
+    for (const t of terms) if (!t.used) primes.push({ v: t.v, m: t.m });
+    rounds.push(count <= TRACE_LIMIT ? terms : null);
+    if (progress) progress({ phase: 'combine', round, terms: count, done: (round + 1) / (W + 1) });
+    level = next;
+  }
+  return { primes, rounds };
+}
+
+/*
+ qmSolve(minterms, W, dontCares, opts, progress) — the whole minimisation on
+ integers, without variable names (also runs inside the QM worker).
+ Cover rows are bitsets over the required minterms; the greedy cover keeps a
+ running gain per prime instead of rescanning the chart.
+ returns { implicants, solutions, minimal, trace } as qmSimplify, minus sop
+*/
+function qmSolve(minterms, W, dontCares = [], opts = {}, progress = null){
+  const exact = opts.exact !== false;
+  minterms = minterms || [];
+  const allSet = Array.from(new Set([...minterms, ...(dontCares||[])])).sort((a,b)=>a-b);
+  if (allSet.length === 0){
+    const trace = { rounds: [], primes: [], chart: { rows: [], cover: {} }, essentials: [], method: 'none', steps: [] };
+    return { implicants: [], solutions: [[]], minimal: true, trace };
   }
 
-  // final primes
-  const finalPrimes = new Set();
-  for (const arr of allCombinedLevels) for (const p of arr) finalPrimes.add(p);
-  for (const k in groups) for (const it of groups[k]) finalPrimes.add(it.bin);
-  const primeList = Array.from(finalPrimes);
+  const { primes, rounds } = qmPrimes(allSet, W, progress);
+  const primeList = primes.map(t => termString(t, W));
 
-  // cover chart for minterms only
-  const minBin = (minterms||[]).map(m => toBin(m, W));
+  // cover chart for minterms only: cover[i] = primes of row i, bits[j] = rows of prime j
+  const rowOf = new Map(minterms.map((m, i) => [m, i]));
+  const words = Math.ceil(minterms.length / 32) || 1;
   const cover = {};
-  for (let i=0;i<minBin.length;i++){
-    cover[i] = [];
-    for (let j=0;j<primeList.length;j++){
-      if (covers(primeList[j], minBin[i])) cover[i].push(j);
+  for (let i=0;i<minterms.length;i++) cover[i] = [];
+  const bits = primes.map((t, j) => {
+    const b = new Uint32Array(words);
+    for (const m of termMinterms(t)){
+      const i = rowOf.get(m);
+      if (i === undefined) continue;
+      b[i >> 5] |= 1 << (i & 31);
+      cover[i].push(j);
     }
-  }
+    return b;
+  });
 
   // essential primes
   const chosen = new Set();
-  const coveredRows = new Set();
-  for (let i=0;i<minBin.length;i++){
-    if (cover[i].length === 1) chosen.add(cover[i][0]);
-  }
-  const markCovered = () => {
-    let changed = false;
-    for (let i=0;i<minBin.length;i++){
-      if (coveredRows.has(i)) continue;
-      for (const j of (cover[i]||[])){
-        if (chosen.has(j)){ coveredRows.add(i); changed = true; break; }
+  const covered = new Uint32Array(words);
+  const isCovered = i => (covered[i >> 5] >>> (i & 31)) & 1;
+  const gain = primes.map((_, j) => bits[j].reduce((s, w) => s + popcount(w), 0));
+  const take = j => {
+    chosen.add(j);
+    for (let w=0;w<words;w++){
+      let fresh = bits[j][w] & ~covered[w];
+      covered[w] |= fresh;
+      while (fresh){
+        const low = fresh & -fresh;
+        for (const k of cover[(w << 5) + 31 - Math.clz32(low)]) gain[k]--;
+        fresh ^= low;
+      }
+    }
+  };
+  for (let i=0;i<minterms.length;i++){
+    if (cover[i].length === 1 && !chosen.has(cover[i][0])) take(cover[i][0]);
+  }
+  const essentials = Array.from(chosen);
+  const steps = [];
+  const pName = j => 'P' + (j+1);
+  if (essentials.length) steps.push(`Prime esensial: ${essentials.map(pName).join(', ')}`);
+
+  // exact cover for remaining rows (Petrick's method)
+  let petrick = null;
+  const restIdx = [];
+  for (let i=0;i<minterms.length;i++) if (!isCovered(i)) restIdx.push(i);
+  if (restIdx.length) steps.push(`Minterm belum tertutup: ${restIdx.length > TRACE_LIMIT ? restIdx.length + ' minterm' : restIdx.map(i => 'm' + minterms[i]).join(', ')}`);
+  if (exact && restIdx.length > PETRICK_ROWS) steps.push(`Lebih dari ${PETRICK_ROWS} minterm tersisa; langsung memakai cover greedy`);
+  else if (exact && restIdx.length){
+    const rest = restIdx.map(i => cover[i]);
+    steps.push('Petrick: P = ' + rest.map(r => '(' + r.map(pName).join(' + ') + ')').join(''));
+    petrick = petrickCover(rest, primeList);
+    if (petrick) steps.push('Produk minimal: ' + petrick.map(p => p.map(pName).join('·')).join('  |  '));
+    else steps.push(`Ekspansi Petrick melebihi ${PETRICK_LIMIT} produk; beralih ke cover greedy`);
+  } else if (exact) petrick = [[]];
+
+  let solutions;
+  if (petrick){
+    solutions = petrick.map(extra => [...essentials, ...extra].map(j => primeList[j]));
+  } else {
+    // greedy cover for remaining: most uncovered rows first
+    const total = restIdx.length;
+    let left = total;
+    while (left > 0){
+      let bestJ = -1;
+      for (let j=0;j<primes.length;j++) if (!chosen.has(j) && gain[j] > 0 && (bestJ < 0 || gain[j] > gain[bestJ])) bestJ = j;
+      if (bestJ === -1) break;
+      const g = gain[bestJ];
+      if (steps.length < TRACE_LIMIT) steps.push(`Greedy: pilih ${pName(bestJ)} (menutup ${g} minterm tersisa)`);
+      take(bestJ);
+      left -= g;
+      if (progress) progress({ phase: 'cover', done: 1 - left / total });
+    }
+    solutions = [Array.from(chosen).map(j => primeList[j])];
+  }
+
+  const small = primes.length <= TRACE_LIMIT;
+  const trace = {
+    rounds: rounds.every(Boolean) ? rounds.map(terms => {
+      const snap = {};
+      for (const t of terms) (snap[popcount(t.v)] = snap[popcount(t.v)] || []).push({ bin: termString(t, W), minterms: termMinterms(t), used: t.used });
+      return snap;
+    }) : [],
+    primes: primes.map((t, j) => ({ bin: primeList[j], minterms: small ? termMinterms(t) : [] })),
+    chart: { rows: minterms.slice(), cover },
+    essentials,
+    method: petrick ? 'petrick' : 'greedy',
+    steps,
+    summary: rounds.every(Boolean) && small ? null : { rounds: rounds.length, primes: primes.length, rows: minterms.length }
+  };
+  return { implicants: solutions[0], solutions, minimal: !!petrick, trace };
+}
+
+/*
+ qmSimplify(minterms, varNames, dontCares, opts)
+ - minterms: array of ints that must be covered
+ - dontCares: array of ints allowed to combine but not required to cover
+ - opts.exact (default true): cover the rows left after essential primes with
+   Petrick's method; false keeps the old greedy "most rows covered" loop
+ - opts.engine: 'espresso' runs espressoSolve instead of QM
+ returns { implicants: [mask strings], sop: string,
+           solutions: [[mask strings]...]  (every equally minimal cover),
+           minimal: bool                   (true when proven minimal),
+           trace: { rounds, primes, chart, essentials, method, steps, summary } (see renderQMTrace) }
+ Results are cached (qmCache), so a run in the QM worker is picked up here.
+*/
+function qmSimplify(minterms, varNames, dontCares = [], opts = {}){
+  const key = qmKey(minterms, varNames.length, dontCares, opts);
+  let res = qmCache.get(key);
+  if (!res){
+    res = (opts.engine === 'espresso' ? espressoSolve : qmSolve)(minterms, varNames.length, dontCares, opts);
+    qmRemember(key, res);
+  }
+  return { ...res, implicants: res.implicants.slice(), solutions: res.solutions.map(s => s.slice()), sop: implicantsToSOP(res.implicants, varNames) };
+}
+// the minimizer picked in #engine-select (the shown result, normal forms, circuit and exports)
+function engineSimplify(minterms, varNames, dontCares = []){
+  return qmSimplify(minterms, varNames, dontCares, { engine });
+}
+
+/* ===== Espresso-style heuristic minimizer ===== */
+/*
+ espressoSolve(minterms, W, dontCares, opts, progress)
+ Works on a cover of { v, m } cubes (same encoding as qmPrimes). The ON-set
+ starts as its minterms; anything outside ON ∪ DC is the OFF-set.
+ - EXPAND: raise literals of each cube (most useful first) while it stays off
+   the OFF-set, and drop the cubes it now contains
+ - IRREDUNDANT: remove cubes whose ON minterms all have another cover
+ - REDUCE: shrink every cube to the supercube of the ON minterms only it covers
+ The loop runs while REDUCE → EXPAND → IRREDUNDANT lowers (terms, literals).
+ Fast, but not proven minimal. Same result shape as qmSolve.
+*/
+const ESPRESSO_ROUNDS = 8;
+
+function espressoSolve(minterms, W, dontCares = [], opts = {}, progress = null){
+  minterms = minterms || [];
+  const steps = [];
+  const trace = { rounds: [], primes: [], chart: { rows: [], cover: {} }, essentials: [], method: 'espresso', steps, summary: null };
+  if (!minterms.length) return { implicants: [], solutions: [[]], minimal: true, trace };
+  const total = 2 ** W;
+  const kind = new Uint8Array(total); // 0 = OFF, 1 = ON, 2 = don't-care
+  for (const d of dontCares || []) kind[d] = 2;
+  for (const m of minterms) kind[m] = 1;
+  const inside = (a, c) => (a.m & ~c.m) === 0 && ((a.v ^ c.v) & ~c.m) === 0;
+  const cost = F => ({ terms: F.length, literals: F.reduce((s, c) => s + W - popcount(c.m), 0) });
+  const better = (a, b) => a.terms < b.terms || (a.terms === b.terms && a.literals < b.literals);
+  const note = (what, F) => { const c = cost(F); steps.push(`${what}: ${c.terms} term, ${c.literals} literal`); };
+
+  const expand = (F) => {
+    F.sort((a, b) => popcount(b.m) - popcount(a.m));
+    const out = [];
+    const gone = new Set();
+    for (const c of F){
+      if (gone.has(c)) continue;
+      let cube = { v: c.v, m: c.m };
+      // literal order: the one whose removal alone swallows the most other cubes first
+      const free = [];
+      for (let bit = 1; bit < total; bit <<= 1) if (!(cube.m & bit)) free.push(bit);
+      const reach = bit => { const big = { v: cube.v & ~bit, m: cube.m | bit }; return F.filter(o => !gone.has(o) && o !== c && inside(o, big)).length; };
+      const score = new Map(free.map(bit => [bit, reach(bit)]));
+      free.sort((a, b) => score.get(b) - score.get(a));
+      for (const bit of free){
+        // the new half is the cube with this literal flipped: it must not touch the OFF-set
+        const half = { v: cube.v ^ bit, m: cube.m };
+        if (termMinterms(half).every(x => kind[x])) cube = { v: cube.v & ~bit, m: cube.m | bit };
       }
+      for (const o of F) if (o !== c && !gone.has(o) && inside(o, cube)) gone.add(o);
+      out.push(cube);
+    }
+    return out;
+  };
+  // how many cubes cover each ON minterm
+  const counts = F => {
+    const cnt = new Uint16Array(total);
+    for (const c of F) for (const x of termMinterms(c)) if (kind[x] === 1) cnt[x]++;
+    return cnt;
+  };
+  const irredundant = (F) => {
+    const cnt = counts(F);
+    // try the smallest cubes first: they are the cheapest to lose
+    const order = F.slice().sort((a, b) => popcount(a.m) - popcount(b.m));
+    const drop = new Set();
+    for (const c of order){
+      const ons = termMinterms(c).filter(x => kind[x] === 1);
+      if (ons.every(x => cnt[x] > 1)){ drop.add(c); for (const x of ons) cnt[x]--; }
+    }
+    return F.filter(c => !drop.has(c));
+  };
+  const reduce = (F) => {
+    const cnt = counts(F);
+    const out = [];
+    for (const c of F.slice().sort((a, b) => popcount(b.m) - popcount(a.m))){
+      const ons = termMinterms(c).filter(x => kind[x] === 1);
+      const own = ons.filter(x => cnt[x] === 1);
+      if (!own.length){ for (const x of ons) cnt[x]--; continue; }
+      let diff = 0;
+      for (const x of own) diff |= x ^ own[0];
+      const small = { v: own[0] & ~diff, m: diff };
+      for (const x of ons) if (!inside({ v: x, m: 0 }, small)) cnt[x]--;
+      out.push(small);
     }
-    return changed;
+    return out;
   };
-  markCovered();
 
-  // greedy cover for remaining
-  while (coveredRows.size < minBin.length){
-    let bestJ = -1, bestCover = -1;
-    for (let j=0;j<primeList.length;j++) if (!chosen.has(j)){
-      let c = 0;
-      for (let i=0;i<minBin.length;i++) if (!coveredRows.has(i) && cover[i].includes(j)) c++;
-      if (c > bestCover){ bestCover = c; bestJ = j; }
+  let F = irredundant(expand(minterms.map(v => ({ v, m: 0 }))));
+  note('EXPAND + IRREDUNDANT', F);
+  let best = F, bestCost = cost(F);
+  for (let round = 0; round < ESPRESSO_ROUNDS; round++){
+    if (progress) progress({ phase: 'espresso', round, done: (round + 1) / (ESPRESSO_ROUNDS + 1) });
+    F = irredundant(expand(reduce(F)));
+    const c = cost(F);
+    note(`Putaran ${round + 1} (REDUCE → EXPAND → IRREDUNDANT)`, F);
+    if (!better(c, bestCost)) break;
+    best = F; bestCost = c;
+  }
+  const implicants = best.sort((a, b) => popcount(a.v) - popcount(b.v) || a.m - b.m || a.v - b.v).map(c => termString(c, W));
+  return { implicants, solutions: [implicants], minimal: false, trace };
+}
+
+/* ===== QM cache & worker ===== */
+const QM_CACHE_SIZE = 16;
+const QM_WORKER_VARS = 8; // from this many variables the K-Map is simplified in the worker
+const qmCache = new Map();
+let qmJob = null; // running worker job: { worker, reject }
+let qmWorkerURL = null; // Blob URL of qmWorkerSource(), made once and reused by every job
+
+function qmKey(minterms, W, dontCares, opts){
+  const how = opts && opts.engine === 'espresso' ? 'e' : (opts && opts.exact === false ? 'g' : 'x');
+  return `${W}|${how}|${(minterms||[]).join(',')}|${(dontCares||[]).join(',')}`;
+}
+function qmRemember(key, res){
+  qmCache.delete(key);
+  qmCache.set(key, res);
+  if (qmCache.size > QM_CACHE_SIZE) qmCache.delete(qmCache.keys().next().value);
+}
+
+// the engine's own source, so the worker also works from file:// (Blob URL, no extra file)
+function qmWorkerSource(){
+  const consts = { PETRICK_LIMIT, PETRICK_ROWS, TRACE_LIMIT, ESPRESSO_ROUNDS };
+  return Object.entries(consts).map(([k, v]) => `const ${k} = ${v};`).join('\n') + '\n'
+    + [termString, termMinterms, popcount, qmPrimes, qmSolve, espressoSolve, petrickCover, literalCount, qmMultiSolve, multiOutputCost].map(f => f.toString()).join('\n')
+    + `
+onmessage = (e) => {
+  const { jobs, timed } = e.data, times = [];
+  const results = jobs.map((job, k) => {
+    const t0 = performance.now();
+    const solve = job.opts && job.opts.engine === 'espresso' ? espressoSolve : qmSolve;
+    const progress = p => postMessage({ type: 'progress', job: k, jobs: jobs.length, ...p });
+    const res = job.outs ? qmMultiSolve(job.outs, job.W, progress) : solve(job.minterms, job.W, job.dontCares, job.opts || {}, progress);
+    times.push(performance.now() - t0);
+    postMessage({ type: 'progress', job: k, jobs: jobs.length, phase: 'done', done: 1 });
+    return timed ? { terms: res.implicants.length, literals: res.implicants.reduce((s, m) => s + literalCount(m), 0) } : res;
+  });
+  postMessage({ type: 'done', results, times });
+};`;
+}
+
+/*
+ runQMWorker(jobs, { timed }) — jobs: [{ minterms, W, dontCares, opts }], or
+ { outs, W } for a multi-output cover (qmMultiSolve).
+ Resolves with { results, times } and caches the results (timed: only
+ { terms, literals } per job, nothing cached); progress shows in
+ #qm-progress. A new job or "Batal" cancels the running one (rejects with
+ err.cancelled). Without Worker support the jobs run here, synchronously.
+*/
+function runQMWorker(jobs, { timed = false } = {}){
+  cancelQMWorker();
+  const finish = (results, times) => {
+    const key = j => j.outs ? qmMultiKey(j.outs, j.W) : qmKey(j.minterms, j.W, j.dontCares, j.opts || {});
+    if (!timed) results.forEach((res, k) => qmRemember(key(jobs[k]), res));
+    return { results, times };
+  };
+  let worker = null;
+  try {
+    if (typeof Worker !== 'undefined'){
+      qmWorkerURL = qmWorkerURL || URL.createObjectURL(new Blob([qmWorkerSource()], { type: 'text/javascript' }));
+      worker = new Worker(qmWorkerURL);
     }
-    if (bestJ === -1) break;
-    chosen.add(bestJ);
-    markCovered();
+  } catch (e){ worker = null; }
+  if (!worker){
+    const times = [];
+    const results = jobs.map(j => {
+      const t0 = performance.now();
+      const r = j.outs ? qmMultiSolve(j.outs, j.W) : (j.opts && j.opts.engine === 'espresso' ? espressoSolve : qmSolve)(j.minterms, j.W, j.dontCares, j.opts || {});
+      times.push(performance.now() - t0);
+      return timed ? { terms: r.implicants.length, literals: r.implicants.reduce((s, m) => s + literalCount(m), 0) } : r;
+    });
+    return Promise.resolve(finish(results, times));
   }
+  return new Promise((resolve, reject) => {
+    qmJob = { worker, reject };
+    showQMProgress(0, 'Memulai…');
+    worker.onmessage = (e) => {
+      const d = e.data;
+      if (d.type === 'progress'){
+        const what = d.phase === 'combine' ? `tahap ${d.round + 1}: ${d.terms} term` : (d.phase === 'cover' ? 'memilih cover' : (d.phase === 'espresso' ? `Espresso putaran ${d.round + 1}` : 'selesai'));
+        showQMProgress((d.job + d.done) / d.jobs, `${d.jobs > 1 ? `Tugas ${d.job + 1}/${d.jobs}, ` : ''}${what}`);
+        return;
+      }
+      endQMJob();
+      resolve(finish(d.results, d.times));
+    };
+    worker.onerror = (e) => { e.preventDefault(); endQMJob(); reject(new Error(e.message || 'QM worker gagal')); };
+    worker.postMessage({ jobs, timed });
+  });
+}
+
+function endQMJob(){
+  if (!qmJob) return;
+  qmJob.worker.terminate();
+  qmJob = null;
+  $('qm-progress').hidden = true;
+}
+function cancelQMWorker(){
+  if (!qmJob) return;
+  const { reject } = qmJob;
+  endQMJob();
+  const err = new Error('QM dibatalkan');
+  err.cancelled = true;
+  reject(err);
+}
+function showQMProgress(frac, text){
+  $('qm-progress').hidden = false;
+  $('qm-progress-bar').value = frac;
+  $('qm-progress-text').textContent = text;
+}
+
+/* ===== Petrick's method ===== */
+const PETRICK_LIMIT = 4000; // max partial products kept before giving up (greedy fallback)
 
-  const implicants = Array.from(chosen).map(j => primeList[j]);
-  const sop = implicantsToSOP(implicants, varNames);
-  return { implicants, sop };
+function literalCount(mask){ return mask.replace(/-/g,'').length; }
+
+/*
+ petrickCover(rows, primeList)
+ - rows: for every uncovered minterm, the indices of primes covering it
+ Multiplies the row sums out (with absorption XY + X = X) and keeps the
+ products with the fewest terms, then the fewest literals.
+ returns array of index arrays (all equally minimal), or null when the
+ expansion exceeds PETRICK_LIMIT
+*/
+function petrickCover(rows, primeList){
+  let products = [[]];
+  for (const row of rows){
+    const next = new Map();
+    for (const p of products){
+      if (row.some(j => p.includes(j))){ next.set(p.join(','), p); continue; }
+      for (const j of row){
+        const q = [...p, j].sort((a,b)=>a-b);
+        next.set(q.join(','), q);
+      }
+    }
+    // absorption: drop any product that contains another product
+    const list = Array.from(next.values()).sort((a,b)=>a.length-b.length);
+    products = [];
+    for (const q of list){
+      if (!products.some(p => p.length < q.length && p.every(j => q.includes(j)))) products.push(q);
+    }
+    if (products.length > PETRICK_LIMIT) return null;
+  }
+  const cost = p => [p.length, p.reduce((s,j)=>s + literalCount(primeList[j]), 0)];
+  let best = null;
+  for (const p of products){
+    const c = cost(p);
+    if (!best || c[0] < best[0] || (c[0] === best[0] && c[1] < best[1])) best = c;
+  }
+  return products.filter(p => { const c = cost(p); return c[0] === best[0] && c[1] === best[1]; });
 }
 
+// multi-character names are separated by spaces so the result parses back in identifier mode
 function implicantsToSOP(impls, vars){
   if (!impls || !impls.length) return '0';
+  const sep = vars.some(v => v.length > 1) ? ' ' : '';
   const parts = impls.map(mask => {
-    let s = '';
+    const lits = [];
     for (let i=0;i<mask.length;i++){
       if (mask[i] === '-') continue;
       const v = vars[i];
-      s += (mask[i] === '1') ? v : (v + "'");
+      lits.push((mask[i] === '1') ? v : (v + "'"));
     }
-    return s || '1';
+    return lits.join(sep) || '1';
   });
   return parts.join(' + ');
 }
@@ -308,6 +758,7 @@ function implicantsToSOP(impls, vars){
 // POS representation from implicants (interpreting masks as maxterms)
 function implicantsToPOS(impls, vars){
   if (!impls || !impls.length) return '1';
+  if (impls.some(mask => !/[01]/.test(mask))) return '0'; // an all-'-' maxterm covers every cell
   const parts = impls.map(mask => {
     const terms = [];
     for (let i=0;i<mask.length;i++){
@@ -321,20 +772,366 @@ function implicantsToPOS(impls, vars){
   return parts.join(' · ');
 }
 
+/* ===== Multi-output minimization ===== */
+/*
+ qmMultiSolve(outs, W, progress)
+ - outs: [{ minterms, dontCares }] over the same W variables
+ Tagged Quine–McCluskey on value/mask pairs (hashed like qmPrimes): every cube
+ carries the set of outputs (bit mask) whose ones/don't-cares contain it; a cube
+ is a multi-output prime unless a merged cube keeps the same tag. The cover is
+ chosen greedily with running gains (a term that already has an AND gate only
+ costs an OR input) and the separate exact covers are tried as well, so sharing
+ is never reported worse than separate. Runs in the QM worker too.
+ returns { perOutput: [[masks]], cost, separate: { perOutput, cost }, primes: [{ mask, tag }], method: 'shared' | 'separate' }
+*/
+function qmMultiSolve(outs, W, progress = null){
+  const K = outs.length;
+  const tags = new Map();
+  outs.forEach((o, k) => { for (const m of [...o.minterms, ...o.dontCares]) tags.set(m, (tags.get(m) || 0) | (1 << k)); });
+
+  // level: mask → Map(value → tag)
+  let level = new Map([[0, tags]]);
+  const primes = [];
+  for (let round = 0; level.size; round++){
+    const next = new Map();
+    let count = 0;
+    for (const [m, vals] of level){
+      const merged = new Set();
+      count += vals.size;
+      for (const [v, tag] of vals){
+        for (let bit = 1; bit < 1 << W; bit <<= 1){
+          if ((m & bit) || (v & bit) || !vals.has(v | bit)) continue;
+          const other = vals.get(v | bit), t = tag & other;
+          if (!t) continue;
+          if (!next.has(m | bit)) next.set(m | bit, new Map());
+          next.get(m | bit).set(v, t);
+          if (t === tag) merged.add(v);
+          if (t === other) merged.add(v | bit);
+        }
+      }
+      for (const [v, tag] of vals) if (!merged.has(v)) primes.push({ v, m, tag, lits: W - popcount(m) });
+    }
+    if (progress) progress({ phase: 'combine', round, terms: count, done: (round + 1) / (W + 2) });
+    level = next;
+  }
+
+  // (output, minterm) rows: by[k] maps a required minterm to the primes of output k covering it
+  const need = outs.map(o => new Set(o.minterms));
+  const by = outs.map(() => new Map());
+  const cells = primes.map(p => termMinterms(p));
+  const gain = primes.map(() => new Array(K).fill(0));
+  primes.forEach((p, j) => {
+    for (let k=0;k<K;k++){
+      if (!(p.tag >> k & 1)) continue;
+      for (const m of cells[j]){
+        if (!need[k].has(m)) continue;
+        if (!by[k].has(m)) by[k].set(m, []);
+        by[k].get(m).push(j);
+        gain[j][k]++;
+      }
+    }
+  });
+  const use = outs.map(() => new Set());
+  const built = new Set();
+  const take = (j, k) => {
+    use[k].add(j); built.add(j);
+    for (const m of cells[j]){
+      if (!need[k].delete(m)) continue;
+      for (const q of by[k].get(m)) gain[q][k]--;
+    }
+  };
+  outs.forEach((o, k) => {
+    for (const m of o.minterms){
+      const list = by[k].get(m);
+      if (need[k].has(m) && list.length === 1) take(list[0], k);
+    }
+  });
+  for (;;){
+    let best = -1, bestScore = 0;
+    for (let j=0;j<primes.length;j++){
+      let covered = 0, ks = 0;
+      for (let k=0;k<K;k++) if (gain[j][k]){ covered += gain[j][k]; ks++; }
+      if (!covered) continue;
+      const score = covered / ((built.has(j) ? 0 : primes[j].lits + 1) + ks);
+      if (score > bestScore + 1e-9 || (best >= 0 && Math.abs(score - bestScore) < 1e-9 && primes[j].lits < primes[best].lits)){ best = j; bestScore = score; }
+    }
+    if (best < 0) break;
+    for (let k=0;k<K;k++) if (gain[best][k]) take(best, k);
+  }
+  if (progress) progress({ phase: 'cover', done: (W + 1) / (W + 2) });
+  // drop terms an output no longer needs: private, long ones first
+  const sharedBy = j => use.filter(set => set.has(j)).length;
+  use.forEach((set, k) => {
+    const hits = new Map(outs[k].minterms.map(m => [m, 0]));
+    for (const j of set) for (const m of cells[j]) if (hits.has(m)) hits.set(m, hits.get(m) + 1);
+    const order = [...set].sort((a, b) => sharedBy(a) - sharedBy(b) || primes[b].lits - primes[a].lits);
+    for (const j of order){
+      if (!cells[j].every(m => !hits.has(m) || hits.get(m) > 1)) continue;
+      set.delete(j);
+      for (const m of cells[j]) if (hits.has(m)) hits.set(m, hits.get(m) - 1);
+    }
+  });
+
+  const greedy = use.map(set => [...set].map(j => termString(primes[j], W)));
+  const separate = outs.map(o => qmSolve(o.minterms, W, o.dontCares).implicants);
+  const gCost = multiOutputCost(greedy), sCost = multiOutputCost(separate);
+  const better = gCost.gates < sCost.gates || (gCost.gates === sCost.gates && gCost.literals <= sCost.literals);
+  return {
+    perOutput: better ? greedy : separate,
+    cost: better ? gCost : sCost,
+    separate: { perOutput: separate, cost: sCost },
+    primes: primes.map(p => ({ mask: termString(p, W), tag: p.tag })),
+    method: better ? 'shared' : 'separate'
+  };
+}
+
+function qmMultiKey(outs, W){ return 'multi|' + outs.map(o => qmKey(o.minterms, W, o.dontCares, {})).join(';'); }
+
+/*
+ qmMultiOutput(outs, varNames) — qmMultiSolve with names, cached like qmSimplify
+ - outs: [{ name, minterms, dontCares }]
+ returns { terms: [{ mask, outputs: [k...] }], perOutput: [{ name, implicants, sop }],
+           cost, separate: { perOutput, cost }, primes, method }
+*/
+function qmMultiOutput(outs, varNames){
+  const key = qmMultiKey(outs, varNames.length);
+  let res = qmCache.get(key);
+  if (!res){
+    res = qmMultiSolve(outs, varNames.length);
+    qmRemember(key, res);
+  }
+  const chosen = res.perOutput;
+  const terms = [...new Set(chosen.flat())].map(mask => ({ mask, outputs: chosen.map((t, k) => t.includes(mask) ? k : -1).filter(k => k >= 0) }));
+  return {
+    ...res,
+    terms,
+    perOutput: chosen.map((impls, k) => ({ name: outs[k].name, implicants: impls.slice(), sop: implicantsToSOP(impls, varNames) }))
+  };
+}
+
+// two-level cost; inverters are not counted, single-literal terms need no AND gate and a term used by several outputs is built once
+function multiOutputCost(perOutput){
+  const terms = [...new Set(perOutput.flat())];
+  const andGates = terms.filter(m => literalCount(m) > 1).length;
+  const orGates = perOutput.filter(t => t.length > 1).length;
+  return { andGates, orGates, gates: andGates + orGates, literals: terms.reduce((s, m) => s + literalCount(m), 0) };
+}
+
+/* ===== Canonical & normal forms ===== */
+const MAX_EXPANDED_TERMS = 64; // longer canonical forms are only given in Σm / ΠM notation
+
+/*
+ normalForms(vars, minterms, dontCares)
+ returns { sigma, sigmaExpanded, pi, piExpanded, minSOP, minPOS, nand, nor }
+ NAND-only / NOR-only are the two-level NAND–NAND / NOR–NOR versions of the
+ minimal SOP / POS; every (…)' is one gate, inverted inputs are gates with
+ their inputs tied together.
+*/
+function normalForms(vars, minterms, dontCares = []){
+  const n = vars.length, total = 1 << n;
+  const dcSet = new Set(dontCares), oneSet = new Set(minterms);
+  const zeros = [];
+  for (let m=0;m<total;m++) if (!oneSet.has(m) && !dcSet.has(m)) zeros.push(m);
+  const fname = `F(${vars.join(', ')})`;
+  const dPart = dontCares.length ? ` + d(${dontCares.join(', ')})` : '';
+  const sigma = `${fname} = Σm(${minterms.join(', ')})${dPart}`;
+  const pi = `${fname} = ΠM(${zeros.join(', ')})${dontCares.length ? ` · D(${dontCares.join(', ')})` : ''}`;
+  const full = m => toBin(m, n);
+  const expand = (list, fmt, empty) => !list.length ? empty : (list.length > MAX_EXPANDED_TERMS ? null : fmt(list.map(full), vars));
+  const sigmaExpanded = expand(minterms, implicantsToSOP, '0');
+  const piExpanded = expand(zeros, implicantsToPOS, '1');
+
+  const sop = engineSimplify(minterms, vars, dontCares).implicants;
+  const pos = engineSimplify(zeros, vars, dontCares).implicants;
+  return {
+    sigma, sigmaExpanded, pi, piExpanded,
+    minSOP: implicantsToSOP(sop, vars), minPOS: implicantsToPOS(pos, vars),
+    nand: nandOnlyForm(sop, vars), nor: norOnlyForm(pos, vars)
+  };
+}
+
+// F = P1 + P2 + … = (P1'·P2'·…)' with Pi' = NAND(literals)
+function nandOnlyForm(impls, vars){
+  if (!impls.length) return '0';
+  if (impls.some(m => !/[01]/.test(m))) return '1';
+  const nand = xs => xs.length === 1 ? `(${xs[0]}·${xs[0]})'` : `(${xs.join('·')})'`;
+  const lit = (mask, i) => mask[i] === '1' ? vars[i] : nand([vars[i]]);
+  const level1 = impls.map(mask => {
+    const idx = [...mask].map((ch, i) => ch === '-' ? -1 : i).filter(i => i >= 0);
+    // a single-literal term feeds its complement straight to the output gate
+    if (idx.length === 1) return mask[idx[0]] === '1' ? nand([vars[idx[0]]]) : vars[idx[0]];
+    return nand(idx.map(i => lit(mask, i)));
+  });
+  return nand(level1);
+}
+// F = S1·S2·… = (S1' + S2' + …)' with Si' = NOR(literals); POS masks: '0' -> v, '1' -> v'
+function norOnlyForm(impls, vars){
+  if (!impls.length) return '1';
+  if (impls.some(m => !/[01]/.test(m))) return '0';
+  const nor = xs => xs.length === 1 ? `(${xs[0]} + ${xs[0]})'` : `(${xs.join(' + ')})'`;
+  const lit = (mask, i) => mask[i] === '0' ? vars[i] : nor([vars[i]]);
+  const level1 = impls.map(mask => {
+    const idx = [...mask].map((ch, i) => ch === '-' ? -1 : i).filter(i => i >= 0);
+    if (idx.length === 1) return mask[idx[0]] === '0' ? nor([vars[idx[0]]]) : vars[idx[0]];
+    return nor(idx.map(i => lit(mask, i)));
+  });
+  return nor(level1);
+}
+
+/* ===== Gate-level circuit (netlist) ===== */
+/*
+ netlist: { nodes: [{ id, type, inputs: [id...], name?, value? }], out: id }
+ type: 'IN' (name), 'CONST' (value), 'NOT', 'AND', 'OR', 'NAND', 'NOR', 'XOR', 'XNOR', 'IMPLIES', 'IFF'
+ The same gate over the same inputs is only built once.
+*/
+function netlistBuilder(){
+  const nodes = [], byKey = new Map();
+  const add = (type, inputs = [], extra = {}) => {
+    const key = `${type}(${inputs.join(',')})${extra.name ?? extra.value ?? ''}`;
+    if (byKey.has(key)) return byKey.get(key);
+    const id = nodes.length;
+    nodes.push({ id, type, inputs, ...extra });
+    byKey.set(key, id);
+    return id;
+  };
+  return { nodes, add };
+}
+
+/*
+ circuitFromImplicants(impls, vars, style)
+ style: 'SOP' (AND–OR), 'POS' (OR–AND) or 'NAND' / 'NOR' (NAND–NAND from an
+ SOP cover, NOR–NOR from a POS cover); complemented inputs come from inverters.
+*/
+function circuitFromImplicants(impls, vars, style){
+  const { nodes, add } = netlistBuilder();
+  const ins = vars.map(v => add('IN', [], { name: v }));
+  const pos = style === 'POS' || style === 'NOR';
+  const twoLevel = style === 'SOP' || style === 'POS';
+  let out;
+  if (!impls.length) out = add('CONST', [], { value: pos ? 1 : 0 });
+  else if (impls.some(m => !/[01]/.test(m))) out = add('CONST', [], { value: pos ? 0 : 1 });
+  else {
+    const inner = { SOP: 'AND', POS: 'OR', NAND: 'NAND', NOR: 'NOR' }[style];
+    const outer = { SOP: 'OR', POS: 'AND', NAND: 'NAND', NOR: 'NOR' }[style];
+    // SOP masks: '1' -> v, '0' -> v'; POS masks the other way round
+    const lit = (i, neg) => neg ? add('NOT', [ins[i]]) : ins[i];
+    const terms = impls.map(mask => {
+      const idx = [...mask].map((ch, i) => ch === '-' ? -1 : i).filter(i => i >= 0);
+      const neg = i => pos ? mask[i] === '1' : mask[i] === '0';
+      if (idx.length > 1) return add(inner, idx.map(i => lit(i, neg(i))));
+      // a single literal skips the first level; NAND/NOR then need its complement
+      return lit(idx[0], twoLevel ? neg(idx[0]) : !neg(idx[0]));
+    });
+    if (terms.length > 1) out = add(outer, terms);
+    else out = twoLevel ? terms[0] : add(outer, [terms[0], terms[0]]);
+  }
+  return { nodes, out };
+}
+
+// walk the RPN; chains of the same AND / OR / XOR become one multi-input gate
+function circuitFromRPN(rpn, vars = []){
+  const { nodes, add } = netlistBuilder();
+  for (const v of vars) add('IN', [], { name: v });
+  const st = [];
+  for (const t of rpn){
+    if (t.type === 'VAR') st.push(add('IN', [], { name: t.value }));
+    else if (t.type === 'NUM') st.push(add('CONST', [], { value: t.value ? 1 : 0 }));
+    else if (t.value === 'NOT') st.push(add('NOT', [st.pop()]));
+    else {
+      const b = st.pop(), a = st.pop();
+      const flat = id => ['AND', 'OR', 'XOR'].includes(t.value) && nodes[id].type === t.value ? nodes[id].inputs : [id];
+      st.push(add(t.value, [...flat(a), ...flat(b)]));
+    }
+  }
+  return { nodes, out: st[0] };
+}
+
 /* ===== K-Map layout helpers ===== */
-function kmapLayoutForVars(nVars){
+/*
+ layout = { rows, cols, rowVars, colVars, index({r,c}) -> minterm,
+            subs, subCols, subVars, subLabels }
+ Variables are split by position (first = most significant bit): leading
+ ones go to sub-maps, then rows, the rest to columns. For 5/6 vars the
+ leading 1/2 vars pick a 4×4 sub-map (Gray order, so neighbouring
+ sub-maps are adjacent); c runs across all sub-maps.
+*/
+function kmapLayoutForVars(nVars, names){
+  const V = names || Array.from({length: nVars}, (_,i) => String.fromCharCode(65+i));
+  const single = l => Object.assign(l, { subs: 1, subCols: l.cols.length || 1, subVars: [], subLabels: [] });
   if (nVars === 0) return null;
-  if (nVars === 1) return { rows: [0,1], cols: [0], rowVars: ['A'], colVars: [], index: ({r,c}) => GRAY2[r] };
-  if (nVars === 2) return { rows: GRAY2, cols: GRAY2, rowVars: ['A'], colVars: ['B'], index: ({r,c}) => (GRAY2[r] << 1) | GRAY2[c] };
-  if (nVars === 3) return { rows: GRAY2, cols: GRAY4, rowVars: ['A'], colVars: ['B','C'], index: ({r,c}) => (GRAY2[r] << 2) | GRAY4[c] };
-  if (nVars === 4) return { rows: GRAY4, cols: GRAY4, rowVars: ['A','B'], colVars: ['C','D'], index: ({r,c}) => {
+  if (nVars === 1) return single({ rows: [0,1], cols: [0], rowVars: [V[0]], colVars: [], index: ({r,c}) => GRAY2[r] });
+  if (nVars === 2) return single({ rows: GRAY2, cols: GRAY2, rowVars: [V[0]], colVars: [V[1]], index: ({r,c}) => (GRAY2[r] << 1) | GRAY2[c] });
+  if (nVars === 3) return single({ rows: GRAY2, cols: GRAY4, rowVars: [V[0]], colVars: [V[1],V[2]], index: ({r,c}) => (GRAY2[r] << 2) | GRAY4[c] });
+  if (nVars === 4) return single({ rows: GRAY4, cols: GRAY4, rowVars: [V[0],V[1]], colVars: [V[2],V[3]], index: ({r,c}) => {
     const AB = GRAY4[r], CD = GRAY4[c];
     const A = (AB>>1)&1, B = AB&1, C = (CD>>1)&1, D = CD&1;
     return (A<<3)|(B<<2)|(C<<1)|D;
-  } };
+  } });
+  if (nVars === 5 || nVars === 6){
+    const subGray = nVars === 5 ? GRAY2 : GRAY4;
+    const w = nVars - 4;
+    const subVars = V.slice(0, w);
+    return {
+      rows: GRAY4, cols: subGray.flatMap(() => GRAY4),
+      rowVars: V.slice(w, w+2), colVars: V.slice(w+2),
+      subs: subGray.length, subCols: 4, subVars,
+      subLabels: subGray.map(g => joinVarNames(subVars) + '=' + toBin(g, w)),
+      index: ({r,c}) => (subGray[Math.floor(c/4)] << 4) | (GRAY4[r] << 2) | GRAY4[c % 4]
+    };
+  }
   return null;
 }
-function prettyAxisLabel(vars){ return vars && vars.length ? vars.join('') : '—'; }
+/*
+ grid line (1-based) of map cell (r,c): optional sub-map title row, then the
+ Gray-code column header row; column 1 holds the row headers and sub-maps
+ are separated by a spacer column
+*/
+function kmapGridPos(layout, r, c){
+  return { row: r + 2 + (layout.subs > 1 ? 1 : 0), col: c + 2 + Math.floor(c / layout.subCols) };
+}
+// Gray-code header text for row r / column c, e.g. '01'
+function kmapHeaderLabel(codes, i, nBits){ return nBits ? toBin(codes[i], nBits) : ''; }
+/*
+ implicantRects(mask, layout)
+ Rows and columns of a product term form cyclic intervals on the Gray-coded
+ axes, so the loop is rowRuns × colRuns rectangles (up to 4 for the corners).
+ open.* marks a side that continues across the map edge (wrap-around).
+ On 5/6-var maps the same shape repeats in every sub-map the term covers.
+*/
+function implicantRects(mask, layout){
+  const R = layout.rows.length || 1, C = layout.subCols;
+  const rects = [];
+  for (let s=0;s<layout.subs;s++){
+    const rowSet = new Set(), colSet = new Set();
+    for (let r=0;r<R;r++) for (let c=0;c<C;c++){
+      if (covers(mask, toBin(layout.index({r, c: s*C + c}), mask.length))){ rowSet.add(r); colSet.add(c); }
+    }
+    if (!rowSet.size) continue;
+    const rowRuns = cyclicRuns(rowSet, R), colRuns = cyclicRuns(colSet, C);
+    for (const rr of rowRuns) for (const cr of colRuns){
+      rects.push({ r0: rr.a, r1: rr.b, c0: s*C + cr.a, c1: s*C + cr.b, open: { top: rr.openA, bottom: rr.openB, left: cr.openA, right: cr.openB } });
+    }
+  }
+  return rects;
+}
+// split a cyclic index set of length L into linear runs {a, b, openA, openB}
+function cyclicRuns(set, L){
+  if (set.size === L) return [{ a: 0, b: L-1, openA: false, openB: false }];
+  const runs = [];
+  for (let i=0;i<L;i++){
+    if (!set.has(i) || set.has((i-1+L)%L)) continue;
+    let j = i;
+    while (set.has((j+1)%L)) j++;
+    if (j < L) runs.push({ a: i, b: j, openA: false, openB: false });
+    else {
+      runs.push({ a: i, b: L-1, openA: false, openB: true });
+      runs.push({ a: 0, b: j-L, openA: true, openB: false });
+    }
+  }
+  return runs;
+}
+function joinVarNames(vars){ return vars.join(vars.some(v => v.length > 1) ? ',' : ''); }
+function prettyAxisLabel(vars){ return vars && vars.length ? joinVarNames(vars) : '—'; }
 
 /* ===== Truth table builder ===== */
 function buildTruthTable(vars, rpn){
@@ -348,6 +1145,306 @@ function buildTruthTable(vars, rpn){
   return rows;
 }
 
+/* ===== Expression AST & algebraic rewriting ===== */
+/*
+ AST nodes: { op:'VAR', name } | { op:'CONST', value } | { op:'NOT', args:[x] }
+            | { op:'AND'|'OR', args:[...] } (n-ary, kept flat)
+            | { op:'XOR'|'XNOR'|'NAND'|'NOR'|'IMPLIES'|'IFF', args:[a,b] }
+ Nodes are never mutated, so rewrites can share subtrees.
+*/
+function astNode(op, args){
+  if (op === 'AND' || op === 'OR'){
+    const flat = [];
+    for (const a of args) if (a.op === op) flat.push(...a.args); else flat.push(a);
+    return flat.length === 1 ? flat[0] : { op, args: flat };
+  }
+  return { op, args };
+}
+const astNot = x => ({ op: 'NOT', args: [x] });
+const astConst = v => ({ op: 'CONST', value: v ? 1 : 0 });
+
+function rpnToAST(rpn){
+  const st = [];
+  for (const t of rpn){
+    if (t.type === 'NUM') st.push(astConst(t.value));
+    else if (t.type === 'VAR') st.push({ op: 'VAR', name: t.value });
+    else if (t.value === 'NOT') st.push(astNot(st.pop()));
+    else { const b = st.pop(), a = st.pop(); st.push(astNode(t.value, [a, b])); }
+  }
+  return st[0];
+}
+
+// structural key; AND/OR children are sorted so AB and BA compare equal
+function astKey(n){
+  if (n.op === 'VAR') return 'v:' + n.name;
+  if (n.op === 'CONST') return 'c:' + n.value;
+  if (n.op === 'NOT') return '!' + astKey(n.args[0]);
+  const keys = n.args.map(astKey);
+  if (n.op === 'AND' || n.op === 'OR') keys.sort();
+  return n.op + '(' + keys.join(',') + ')';
+}
+
+const AST_SYMBOLS = { OR: ' + ', XOR: ' ⊕ ', XNOR: ' ⊙ ', NAND: ' ↑ ', NOR: ' ↓ ', IMPLIES: ' → ', IFF: ' ↔ ' };
+/* print in the app's notation (A'B + AC); sep joins AND operands (' ' for multi-character names) */
+function astToString(n, sep = '', parentPrec = 0){
+  if (n.op === 'VAR') return n.name;
+  if (n.op === 'CONST') return String(n.value);
+  if (n.op === 'NOT'){
+    const x = n.args[0];
+    return (x.op === 'VAR' || x.op === 'CONST') ? astToString(x) + "'" : '(' + astToString(x, sep) + ")'";
+  }
+  const prec = BINARY_OPS[n.op].precedence;
+  let str;
+  if (n.op === 'AND'){
+    const glue = n.args.some(a => a.op === 'CONST') ? '·' : sep;
+    str = n.args.map(a => astToString(a, sep, prec + 1)).join(glue);
+  } else {
+    // OR is associative and stays flat; the other binary operators get explicit parentheses,
+    // except a product under an operator that binds looser than AND (NAND shares its level)
+    const childPrec = n.op === 'OR' ? prec + 1 : 99;
+    const bare = a => a.op === 'VAR' || a.op === 'CONST' || a.op === 'NOT' || (a.op === 'AND' && prec < BINARY_OPS.AND.precedence);
+    str = n.args.map(a => astToString(a, sep, bare(a) ? 0 : childPrec)).join(AST_SYMBOLS[n.op]);
+  }
+  return prec < parentPrec ? '(' + str + ')' : str;
+}
+// true when the printed text parses back to the function of rpn
+function printsBack(text, vars, rpn){
+  try {
+    const back = buildTruthTable(vars, toRPN(tokenize(text, { identifiers: vars.some(v => v.length > 1) })));
+    return buildTruthTable(vars, rpn).every((row, i) => row.y === back[i].y);
+  } catch (e){ return false; }
+}
+
+/* named laws; each rule returns { node, law } when it applies at this node */
+const DEFINITION_RULES = [
+  n => n.op === 'IMPLIES' && { node: astNode('OR', [astNot(n.args[0]), n.args[1]]), law: "Implikasi: X → Y = X' + Y" },
+  n => n.op === 'IFF' && { node: astNode('OR', [astNode('AND', n.args), astNode('AND', n.args.map(astNot))]), law: "Ekuivalensi: X ↔ Y = XY + X'Y'" },
+  n => n.op === 'XOR' && { node: astNode('OR', [astNode('AND', [n.args[0], astNot(n.args[1])]), astNode('AND', [astNot(n.args[0]), n.args[1]])]), law: "Ekspansi XOR: X ⊕ Y = XY' + X'Y" },
+  n => n.op === 'XNOR' && { node: astNode('OR', [astNode('AND', n.args), astNode('AND', n.args.map(astNot))]), law: "Ekspansi XNOR: X ⊙ Y = XY + X'Y'" },
+  n => n.op === 'NAND' && { node: astNot(astNode('AND', n.args)), law: "Definisi NAND: X ↑ Y = (XY)'" },
+  n => n.op === 'NOR' && { node: astNot(astNode('OR', n.args)), law: "Definisi NOR: X ↓ Y = (X + Y)'" }
+];
+const NEGATION_RULES = [
+  n => n.op === 'NOT' && n.args[0].op === 'NOT' && { node: n.args[0].args[0], law: "Negasi ganda: (X')' = X" },
+  n => n.op === 'NOT' && n.args[0].op === 'AND' && { node: astNode('OR', n.args[0].args.map(astNot)), law: "De Morgan: (XY)' = X' + Y'" },
+  n => n.op === 'NOT' && n.args[0].op === 'OR' && { node: astNode('AND', n.args[0].args.map(astNot)), law: "De Morgan: (X + Y)' = X'Y'" },
+  n => n.op === 'NOT' && n.args[0].op === 'CONST' && { node: astConst(!n.args[0].value), law: "Komplemen konstanta: 0' = 1, 1' = 0" }
+];
+// index pairs (i<j) of children satisfying pred(a, b, keyA, keyB)
+function findPair(args, pred){
+  const keys = args.map(astKey);
+  for (let i=0;i<args.length;i++) for (let j=0;j<args.length;j++){
+    if (i !== j && pred(args[i], args[j], keys[i], keys[j], i, j)) return [i, j];
+  }
+  return null;
+}
+const without = (args, k) => args.filter((_, i) => i !== k);
+const SIMPLIFY_RULES = [
+  n => n.op === 'AND' && n.args.some(a => a.op === 'CONST' && !a.value) && { node: astConst(0), law: 'Null: X·0 = 0' },
+  n => n.op === 'AND' && n.args.some(a => a.op === 'CONST' && a.value) && { node: astNode('AND', n.args.filter(a => a.op !== 'CONST')) , law: 'Identitas: X·1 = X' },
+  n => n.op === 'OR' && n.args.some(a => a.op === 'CONST' && a.value) && { node: astConst(1), law: 'Null: X + 1 = 1' },
+  n => n.op === 'OR' && n.args.some(a => a.op === 'CONST' && !a.value) && { node: astNode('OR', n.args.filter(a => a.op !== 'CONST')), law: 'Identitas: X + 0 = X' },
+  n => {
+    if (n.op !== 'AND' && n.op !== 'OR') return null;
+    const p = findPair(n.args, (a, b, ka, kb, i, j) => i < j && ka === kb);
+    return p && { node: astNode(n.op, without(n.args, p[1])), law: n.op === 'AND' ? 'Idempoten: XX = X' : 'Idempoten: X + X = X' };
+  },
+  n => {
+    if (n.op !== 'AND' && n.op !== 'OR') return null;
+    const p = findPair(n.args, (a, b, ka, kb) => kb === '!' + ka);
+    if (!p) return null;
+    return n.op === 'AND' ? { node: astConst(0), law: "Komplemen: XX' = 0" } : { node: astConst(1), law: "Komplemen: X + X' = 1" };
+  },
+  n => {
+    if (n.op !== 'OR') return null;
+    // X + XY = X : some term's factors contain every factor of another term
+    const factors = a => a.op === 'AND' ? a.args.map(astKey) : [astKey(a)];
+    const p = findPair(n.args, (a, b) => { const fa = factors(a), fb = factors(b); return fb.length > fa.length && fa.every(k => fb.includes(k)); });
+    return p && { node: astNode('OR', without(n.args, p[1])), law: 'Absorpsi: X + XY = X' };
+  }
+];
+const DISTRIBUTE_RULES = [
+  n => {
+    if (n.op !== 'AND') return null;
+    const k = n.args.findIndex(a => a.op === 'OR');
+    if (k < 0) return null;
+    const terms = n.args[k].args.map(t => { const args = n.args.slice(); args[k] = t; return astNode('AND', args); });
+    return { node: astNode('OR', terms), law: 'Distributif: X(Y + Z) = XY + XZ' };
+  }
+];
+
+// apply the first matching rule, outermost then left to right
+function rewriteFirst(node, rules){
+  for (const rule of rules){ const r = rule(node); if (r) return r; }
+  if (!node.args) return null;
+  for (let i=0;i<node.args.length;i++){
+    const r = rewriteFirst(node.args[i], rules);
+    if (r){ const args = node.args.slice(); args[i] = r.node; return { node: astNode(node.op, args), law: r.law }; }
+  }
+  return null;
+}
+
+/* ===== Cube (SOP) laws for the derivation ===== */
+// consensus of two cubes with exactly one opposed variable, else null
+function cubeConsensus(a, b){
+  let opposed = -1, out = '';
+  for (let i=0;i<a.length;i++){
+    if (a[i] !== '-' && b[i] !== '-' && a[i] !== b[i]){
+      if (opposed >= 0) return null;
+      opposed = i; out += '-';
+    } else out += a[i] === '-' ? b[i] : a[i];
+  }
+  return opposed >= 0 ? out : null;
+}
+function cubeMinterms(cubes, n){
+  const res = [];
+  for (let m=0;m<(1<<n);m++){ const b = toBin(m, n); if (cubes.some(c => covers(c, b))) res.push(m); }
+  return res;
+}
+
+const MAX_DERIVATION_STEPS = 300;
+
+/*
+ deriveSimplification(rpn, vars, qm)
+ Rewrites the expression law by law: definitions of the derived operators,
+ double negation / De Morgan, constants, idempotence, complement,
+ absorption and distribution down to a sum of products; then on the product
+ terms: absorption, adjacency (distributive + complement + identity),
+ consensus terms added until every prime implicant is present, and finally
+ redundant consensus terms dropped to reach the qmSimplify cover (pass
+ qm to reuse an existing result for the same function).
+ printed tells whether the first step parses back to the same function.
+ returns { steps: [{ expr, law }], cubes, equivalent, matchesQM, truncated, qm, printed }
+*/
+function deriveSimplification(rpn, vars, qm){
+  const sep = vars.some(v => v.length > 1) ? ' ' : '';
+  const steps = [];
+  let node = rpnToAST(rpn);
+  steps.push({ expr: astToString(node, sep), law: 'Ekspresi awal' });
+  const printed = printsBack(steps[0].expr, vars, rpn);
+  const full = () => steps.length > MAX_DERIVATION_STEPS;
+
+  // AST phase: definitions first, then negation > simplification > distribution
+  const phases = [[DEFINITION_RULES], [NEGATION_RULES, SIMPLIFY_RULES, DISTRIBUTE_RULES]];
+  for (const groups of phases){
+    while (!full()){
+      let r = null;
+      for (const rules of groups){ r = rewriteFirst(node, rules); if (r) break; }
+      if (!r) break;
+      node = r.node;
+      steps.push({ expr: astToString(node, sep), law: r.law });
+    }
+  }
+
+  const minterms = buildTruthTable(vars, rpn).filter(r => r.y === 1).map(r => r.m);
+  qm = qm || qmSimplify(minterms, vars, []);
+  if (full()) return { steps, cubes: null, equivalent: false, matchesQM: false, truncated: true, qm, printed };
+
+  // SOP AST -> cubes over vars
+  let cubes = [];
+  if (node.op !== 'CONST') for (const term of (node.op === 'OR' ? node.args : [node])){
+    const cube = new Array(vars.length).fill('-');
+    for (const lit of (term.op === 'AND' ? term.args : [term])){
+      const neg = lit.op === 'NOT';
+      cube[vars.indexOf(neg ? lit.args[0].name : lit.name)] = neg ? '0' : '1';
+    }
+    cubes.push(cube.join(''));
+  } else if (node.value) cubes = ['-'.repeat(vars.length)];
+  const show = (list, swap = {}) => {
+    // swap: { index: text } replaces a term's text; null drops it
+    const parts = [];
+    list.forEach((c, i) => { if (i in swap){ if (swap[i] !== null) parts.push(swap[i]); } else parts.push(implicantsToSOP([c], vars)); });
+    return parts.length ? parts.join(' + ') : '0';
+  };
+  const push = (expr, law) => { if (!full()) steps.push({ expr, law }); };
+  if (show(cubes) !== steps[steps.length-1].expr) push(show(cubes), 'Komutatif: urutkan literal dan term');
+
+  const absorbAndCombine = () => {
+    for (let changed = true; changed && !full();){
+      changed = false;
+      for (let i=0;i<cubes.length && !changed;i++) for (let j=0;j<cubes.length && !changed;j++){
+        if (i === j) continue;
+        if (i < j && cubes[i] === cubes[j]){
+          cubes.splice(j, 1); push(show(cubes), 'Idempoten: X + X = X'); changed = true;
+        } else if (cubes[i] !== cubes[j] && absorbs(cubes[i], cubes[j])){
+          cubes.splice(j, 1); push(show(cubes), 'Absorpsi: X + XY = X'); changed = true;
+        } else if (i < j && sameExcept(cubes[i], cubes[j])){
+          // XY + XY' = X(Y + Y') = X·1 = X
+          const cons = cubeConsensus(cubes[i], cubes[j]);
+          const v = vars[[...cubes[i]].findIndex((ch, k) => ch !== cubes[j][k])];
+          const common = /[01]/.test(cons) ? implicantsToSOP([cons], vars) : '';
+          push(show(cubes, { [i]: `${common}(${v} + ${v}')`, [j]: null }), "Distributif: XY + XY' = X(Y + Y')");
+          push(show(cubes, { [i]: common ? `${common}·1` : '1', [j]: null }), "Komplemen: Y + Y' = 1");
+          if (common) push(show(cubes, { [i]: common, [j]: null }), 'Identitas: X·1 = X');
+          cubes[i] = cons; cubes.splice(j, 1); changed = true;
+        }
+      }
+    }
+  };
+  absorbAndCombine();
+
+  // iterated consensus: add every consensus term not already covered (Blake canonical form = all primes)
+  const target = new Set(qm.implicants);
+  const isTarget = () => cubes.length === target.size && cubes.every(c => target.has(c));
+  for (let added = true; added && !full() && !isTarget();){
+    added = false;
+    for (let i=0;i<cubes.length && !added;i++) for (let j=i+1;j<cubes.length && !added;j++){
+      const cons = cubeConsensus(cubes[i], cubes[j]);
+      if (!cons || cubes.some(c => absorbs(c, cons))) continue;
+      cubes.push(cons);
+      push(show(cubes), "Konsensus: XY + X'Z = XY + X'Z + YZ");
+      absorbAndCombine();
+      added = true;
+    }
+  }
+
+  // drop the primes the QM cover does not use
+  for (let k=cubes.length-1;k>=0 && !full();k--){
+    if (target.has(cubes[k])) continue;
+    const rest = cubes.filter((_, i) => i !== k);
+    let single = false;
+    for (let i=0;i<rest.length && !single;i++) for (let j=i+1;j<rest.length && !single;j++){
+      const cons = cubeConsensus(rest[i], rest[j]);
+      if (cons && absorbs(cons, cubes[k])) single = true;
+    }
+    cubes = rest;
+    push(show(cubes), single ? "Konsensus: XY + X'Z + YZ = XY + X'Z" : 'Konsensus (berantai): term tercakup oleh term lain');
+  }
+
+  const equivalent = cubeMinterms(cubes, vars.length).join() === minterms.join();
+  const matchesQM = isTarget();
+  return { steps, cubes, equivalent, matchesQM, truncated: full(), qm, printed };
+}
+// cube a absorbs cube b when every literal of a also appears in b (X + XY = X)
+function absorbs(a, b){
+  for (let i=0;i<a.length;i++) if (a[i] !== '-' && a[i] !== b[i]) return false;
+  return true;
+}
+// same literals except one variable with opposite polarity (XY and XY')
+function sameExcept(a, b){
+  let diff = 0;
+  for (let i=0;i<a.length;i++){
+    if (a[i] === b[i]) continue;
+    if (a[i] === '-' || b[i] === '-') return false;
+    diff++;
+  }
+  return diff === 1;
+}
+
+function renderDerivation(d, vars){
+  const body = $('derivation-body');
+  if (!d){ body.innerHTML = '<p class="muted">Evaluasi ekspresi untuk melihat derivasi.</p>'; return; }
+  let html = '<ol class="derivation">' + d.steps.map(st => `<li><code>${escapeHTML(st.expr)}</code> <span class="law muted">${escapeHTML(st.law)}</span></li>`).join('') + '</ol>';
+  if (!d.printed) html += '<p class="muted">⚠ Bentuk tercetak ekspresi awal tidak terbaca kembali sebagai fungsi yang sama.</p>';
+  if (d.truncated) html += `<p class="muted">Derivasi dipotong setelah ${MAX_DERIVATION_STEPS} langkah.</p>`;
+  else {
+    const qmText = implicantsToSOP(d.qm.implicants, vars);
+    html += `<p>${d.equivalent ? '✓ Ekuivalen dengan fungsi awal' : '✗ Tidak ekuivalen dengan fungsi awal'}; `
+      + `${d.matchesQM ? '✓ sama dengan hasil QM' : '≠ hasil QM'} <code>${escapeHTML(qmText)}</code></p>`;
+  }
+  body.innerHTML = html;
+}
+
 /* ===== UI state & elements ===== */
 const els = {
   expr: $('expr'), btnEval: $('btn-eval'), btnClear: $('btn-clear'), btnSample: $('btn-sample'),
@@ -357,87 +1454,235 @@ const els = {
   btnSimplify: $('btn-simplify'), btnReset: $('btn-reset'), outSimplified: $('out-simplified'),
   mintermIO: $('minterm-io'), btnImport: $('btn-import'), btnExport: $('btn-export'),
   modeToggle: $('mode-toggle'), modeLabel: $('mode-label'), btnPng: $('btn-png'),
+  varOrder: $('var-order'),
   btnBenchmark: $('btn-benchmark'), benchResult: $('bench-result'), themeToggle: $('theme-toggle'),
   btnPrint: $('btn-print')
 };
 
 /* ===== K-Map rendering & interaction ===== */
 function initKMap(vars){
-  const n = Math.min(vars.length, MAX_VARS);
-  const layout = kmapLayoutForVars(n);
-  currentKMap = { vars: vars.slice(0,n), n, layout, cells: new Array(1<<n).fill(0), dc: new Array(1<<n).fill(false), total: 1<<n };
+  // cells/dc hold the function for any width; the grid is only drawn up to MAX_VARS
+  const n = vars.length;
+  const layout = kmapLayoutForVars(n, vars);
+  cancelQMWorker();
+  els.varOrder.value = vars.join(', ');
+  currentKMap = { vars: vars.slice(), n, layout, cells: new Array(1<<n).fill(0), dc: new Array(1<<n).fill(false), total: 1<<n, groups: [] };
+  outputs = [{ name: 'Y', cells: currentKMap.cells, dc: currentKMap.dc, rpn: null }];
+  activeOutput = 0;
+  renderOutputTabs();
+  $('expr-modified').hidden = true;
+  els.kmap.classList.remove('multi');
 
   if (!layout){
-    els.kmap.innerHTML = `<div class="muted">K-Map hanya sampai 4 variabel. Terdeteksi: ${vars.length}</div>`;
+    els.kmap.innerHTML = `<div class="muted">K-Map hanya sampai ${MAX_VARS} variabel. Terdeteksi: ${vars.length}</div>`;
     els.rowlabel.textContent = '—'; els.collabel.textContent = '—';
     return;
   }
 
   els.rowlabel.textContent = prettyAxisLabel(layout.rowVars);
-  els.collabel.textContent = prettyAxisLabel(layout.colVars);
+  els.collabel.textContent = prettyAxisLabel(layout.colVars) + (layout.subs > 1 ? ` (sub-map: ${prettyAxisLabel(layout.subVars)})` : '');
 
   const rows = layout.rows.length || 1;
   const cols = layout.cols.length || 1;
-  els.kmap.style.gridTemplateColumns = `repeat(${cols}, 64px)`;
+  els.kmap.style.gridTemplateColumns = 'auto ' + Array.from({length: layout.subs}, () => `repeat(${layout.subCols}, auto)`).join(' 10px ');
+  els.kmap.classList.toggle('multi', layout.subs > 1);
   els.kmap.innerHTML = '';
 
+  layout.subLabels.forEach((label, s) => {
+    const t = document.createElement('div');
+    t.className = 'ksub-title muted small';
+    t.setAttribute('aria-hidden', 'true'); // every cell names its sub-map variables
+    t.textContent = label;
+    t.style.gridRow = '1'; t.style.gridColumn = `${kmapGridPos(layout, 0, s*layout.subCols).col} / span ${layout.subCols}`;
+    els.kmap.appendChild(t);
+  });
+  // ARIA grid: one role=row wrapper per map row (display:contents, so the CSS grid is unchanged)
+  const rowEls = Array.from({length: rows + 1}, () => {
+    const row = document.createElement('div');
+    row.className = 'krow'; row.setAttribute('role', 'row');
+    els.kmap.appendChild(row);
+    return row;
+  });
+  addKMapHeaders(layout, rowEls);
+  // implicant loops live outside the rows, in a hidden overlay (also display:contents)
+  const loops = document.createElement('div');
+  loops.className = 'kloops'; loops.setAttribute('aria-hidden', 'true');
+  els.kmap.appendChild(loops);
+
   for (let r=0;r<rows;r++){
     for (let c=0;c<cols;c++){
       const idx = layout.index({r,c});
       const el = document.createElement('div');
       el.className = 'kcell';
       el.dataset.index = idx;
-      el.textContent = '0';
-      el.title = `m${idx} — klik kiri toggle 0/1; klik kanan cycle 0→1→d`;
+      el.dataset.r = r; el.dataset.c = c;
+      el.setAttribute('role', 'gridcell');
+      el.tabIndex = r === 0 && c === 0 ? 0 : -1; // roving tabindex
+      const pos = kmapGridPos(layout, r, c);
+      el.style.gridRow = String(pos.row); el.style.gridColumn = String(pos.col);
+      el.title = `m${idx} — klik kiri toggle 0/1; klik kanan cycle 0→1→d; keyboard: panah, 0/1/d, Spasi`;
+      paintKCell(el, idx);
       // left click toggle 0/1 (clears don't-care)
-      el.addEventListener('click', ()=>{
-        currentKMap.dc[idx] = false;
-        currentKMap.cells[idx] = currentKMap.cells[idx] ? 0 : 1;
-        el.classList.toggle('on', !!currentKMap.cells[idx]);
-        el.classList.remove('dc');
-        el.textContent = String(currentKMap.cells[idx]);
-        updatePills();
-      });
+      el.addEventListener('click', ()=> setKMapCell(idx, currentKMap.cells[idx] ? 0 : 1));
       // right click cycle 0 -> 1 -> d -> 0
       el.addEventListener('contextmenu', (ev)=>{
         ev.preventDefault();
-        const wasDc = currentKMap.dc[idx];
-        const wasOne = !!currentKMap.cells[idx];
-        if (!wasOne && !wasDc){ // 0 -> 1
-          currentKMap.cells[idx] = 1; currentKMap.dc[idx] = false;
-          el.classList.add('on'); el.classList.remove('dc'); el.textContent = '1';
-        } else if (wasOne && !wasDc){ // 1 -> d
-          currentKMap.cells[idx] = 0; currentKMap.dc[idx] = true;
-          el.classList.remove('on'); el.classList.add('dc'); el.textContent = 'd';
-        } else { // d -> 0
-          currentKMap.cells[idx] = 0; currentKMap.dc[idx] = false;
-          el.classList.remove('on'); el.classList.remove('dc'); el.textContent = '0';
-        }
-        updatePills();
+        setKMapCell(idx, nextCellValue(idx));
         return false;
       });
-      els.kmap.appendChild(el);
+      rowEls[r + 1].appendChild(el);
     }
   }
 }
 
-function paintKMapFromMinterms(minterms, dontCares = []){
-  if (!currentKMap.layout) return;
-  for (let i=0;i<currentKMap.total;i++){ currentKMap.cells[i] = 0; currentKMap.dc[i] = false; }
-  const children = els.kmap.children;
-  for (let k=0;k<children.length;k++){ children[k].classList.remove('on','dc'); children[k].textContent = '0'; }
-  for (const m of minterms) if (Number.isInteger(m) && m>=0 && m<currentKMap.total) currentKMap.cells[m] = 1;
-  for (const d of dontCares) if (Number.isInteger(d) && d>=0 && d<currentKMap.total) { currentKMap.dc[d] = true; currentKMap.cells[d] = 0; }
-  for (let k=0;k<children.length;k++){
-    const idx = Number(children[k].dataset.index);
-    if (currentKMap.dc[idx]) { children[k].classList.add('dc'); children[k].textContent = 'd'; }
-    else { children[k].classList.toggle('on', !!currentKMap.cells[idx]); children[k].textContent = currentKMap.cells[idx] ? '1' : '0'; }
-  }
+// corner label (rows\cols), Gray-code column headers per sub-map, row headers on the left
+function addKMapHeaders(layout, rowEls){
+  const head = (text, row, col, cls, parent, role) => {
+    const h = document.createElement('div');
+    h.className = 'khead ' + cls;
+    h.textContent = text;
+    h.setAttribute('role', role);
+    h.style.gridRow = String(row); h.style.gridColumn = String(col);
+    parent.appendChild(h);
+  };
+  const top = kmapGridPos(layout, 0, 0).row - 1;
+  head(`${joinVarNames(layout.rowVars)}\\${joinVarNames(layout.colVars)}`, top, 1, 'corner', rowEls[0], 'columnheader');
+  for (let c=0;c<layout.cols.length;c++) head(kmapHeaderLabel(layout.cols, c, layout.colVars.length), top, kmapGridPos(layout, 0, c).col, 'col', rowEls[0], 'columnheader');
+  for (let r=0;r<layout.rows.length;r++) head(kmapHeaderLabel(layout.rows, r, layout.rowVars.length), kmapGridPos(layout, r, 0).row, 1, 'row', rowEls[r + 1], 'rowheader');
 }
 
-function collectMintermsFromKMap(){
-  const res = [];
-  for (let i=0;i<currentKMap.total;i++) if (currentKMap.cells[i] && !currentKMap.dc[i]) res.push(i);
+// cell value as shown: 0, 1 or 'd'
+function cellValue(idx){ return currentKMap.dc[idx] ? 'd' : (currentKMap.cells[idx] ? 1 : 0); }
+function nextCellValue(idx){ return { 0: 1, 1: 'd', d: 0 }[cellValue(idx)]; }
+
+// what a screen reader announces for a cell: "m5, A=1 B=0 C=1: 1"
+function cellLabel(idx, v = cellValue(idx)){
+  const n = currentKMap.n;
+  const bits = currentKMap.vars.map((name, i) => `${name}=${(idx >> (n-1-i)) & 1}`).join(' ');
+  return `m${idx}, ${bits}: ${v === 'd' ? "don't-care" : v}`;
+}
+
+function paintKCell(el, idx){
+  const v = cellValue(idx);
+  el.classList.remove('on','dc');
+  if (v === 'd') el.classList.add('dc'); else el.classList.toggle('on', v === 1);
+  el.textContent = String(v);
+  el.setAttribute('aria-label', cellLabel(idx, v));
+}
+
+/* set one cell of the active output to 0, 1 or 'd' (mouse, keyboard and truth table all land here) */
+function setKMapCell(idx, v){
+  currentKMap.cells[idx] = v === 1 ? 1 : 0;
+  currentKMap.dc[idx] = v === 'd';
+  const el = els.kmap.querySelector(`.kcell[data-index="${idx}"]`);
+  if (el) paintKCell(el, idx);
+  syncTruthTable(idx);
+  simplifyFromKMap();
+  updateSimulation();
+  stateChanged(`m${idx} → ${v}`);
+}
+
+// keys shared by the K-Map grid and the truth table: value keys, or null
+function cellKeyValue(ev, idx){
+  if (ev.ctrlKey || ev.metaKey || ev.altKey) return null;
+  const k = ev.key.toLowerCase();
+  if (k === '0' || k === '1') return Number(k);
+  if (k === 'd' || k === 'x') return 'd';
+  if (k === ' ' || k === 'spacebar') return nextCellValue(idx);
+  return null;
+}
+
+function focusCell(from, to){
+  if (!to) return;
+  from.tabIndex = -1; to.tabIndex = 0;
+  to.focus();
+}
+
+/* arrows move with wrap-around (across sub-maps too), Home/End jump within the row */
+function onKMapKey(ev){
+  const el = ev.target.closest('.kcell');
+  if (!el) return;
+  const idx = Number(el.dataset.index);
+  const v = cellKeyValue(ev, idx);
+  if (v !== null){
+    ev.preventDefault();
+    setKMapCell(idx, v);
+    announce(cellLabel(idx));
+    return;
+  }
+  const R = currentKMap.layout.rows.length || 1, C = currentKMap.layout.cols.length || 1;
+  let r = Number(el.dataset.r), c = Number(el.dataset.c);
+  switch (ev.key){
+    case 'ArrowUp': r = (r + R - 1) % R; break;
+    case 'ArrowDown': r = (r + 1) % R; break;
+    case 'ArrowLeft': c = (c + C - 1) % C; break;
+    case 'ArrowRight': c = (c + 1) % C; break;
+    case 'Home': c = 0; break;
+    case 'End': c = C - 1; break;
+    default: return;
+  }
+  ev.preventDefault();
+  focusCell(el, els.kmap.querySelector(`.kcell[data-r="${r}"][data-c="${c}"]`));
+}
+
+/* polite live region for keyboard / screen-reader feedback */
+function announce(msg){
+  const box = $('sr-status');
+  box.textContent = '';
+  setTimeout(() => { box.textContent = msg; }, 50); // re-announce identical text
+}
+
+function paintKMapFromMinterms(minterms, dontCares = []){
+  for (let i=0;i<currentKMap.total;i++){ currentKMap.cells[i] = 0; currentKMap.dc[i] = false; }
+  drawKMapGroups([]);
+  for (const m of minterms) if (Number.isInteger(m) && m>=0 && m<currentKMap.total) currentKMap.cells[m] = 1;
+  for (const d of dontCares) if (Number.isInteger(d) && d>=0 && d<currentKMap.total) { currentKMap.dc[d] = true; currentKMap.cells[d] = 0; }
+  refreshKMapCells();
+  syncTruthTable();
+}
+function refreshKMapCells(){
+  els.kmap.querySelectorAll('.kcell').forEach(el => paintKCell(el, Number(el.dataset.index)));
+}
+
+/* draw each chosen implicant as a rounded loop over its cells (wrap pieces stay open at the edge) */
+// loops of the cover; hazards ({a, b}) mark both cells of each unspanned pair
+function drawKMapGroups(implicants, hazards = []){
+  currentKMap.groups = (implicants || []).slice();
+  els.kmap.querySelectorAll('.kloop').forEach(el => el.remove());
+  els.kmap.querySelectorAll('.kcell.hazard').forEach(el => el.classList.remove('hazard'));
+  for (const h of hazards){
+    for (const m of [h.a, h.b]){
+      const el = els.kmap.querySelector(`.kcell[data-index="${m}"]`);
+      if (el) el.classList.add('hazard');
+    }
+  }
+  if (!currentKMap.layout || !currentKMap.n) return;
+  currentKMap.groups.forEach((mask, gi) => {
+    const color = LOOP_COLORS[gi % LOOP_COLORS.length];
+    const inset = 2 + (gi % 3) * 3;
+    for (const rc of implicantRects(mask, currentKMap.layout)){
+      const el = document.createElement('div');
+      el.className = 'kloop';
+      el.dataset.group = gi;
+      const p0 = kmapGridPos(currentKMap.layout, rc.r0, rc.c0), p1 = kmapGridPos(currentKMap.layout, rc.r1, rc.c1);
+      el.style.gridRow = `${p0.row} / ${p1.row+1}`;
+      el.style.gridColumn = `${p0.col} / ${p1.col+1}`;
+      el.style.borderColor = color;
+      el.style.background = color + '22';
+      el.style.margin = `${rc.open.top ? -4 : inset}px ${rc.open.right ? -4 : inset}px ${rc.open.bottom ? -4 : inset}px ${rc.open.left ? -4 : inset}px`;
+      for (const side of ['top','right','bottom','left']) if (rc.open[side]) el.classList.add('open-' + side);
+      els.kmap.querySelector('.kloops').appendChild(el);
+    }
+  });
+}
+function highlightKMapGroup(gi){
+  els.kmap.classList.toggle('has-hl', gi !== null);
+  els.kmap.querySelectorAll('.kloop').forEach(el => el.classList.toggle('hl', gi !== null && Number(el.dataset.group) === gi));
+}
+
+function collectMintermsFromKMap(){
+  const res = [];
+  for (let i=0;i<currentKMap.total;i++) if (currentKMap.cells[i] && !currentKMap.dc[i]) res.push(i);
   return res.sort((a,b)=>a-b);
 }
 function collectDontCaresFromKMap(){
@@ -446,33 +1691,796 @@ function collectDontCaresFromKMap(){
   return res.sort((a,b)=>a-b);
 }
 
+/* ===== Multiple outputs ===== */
+// {name, minterms, dontCares, rpn} of one output
+function outputLists(o){
+  const minterms = [], dontCares = [];
+  for (let i=0;i<o.cells.length;i++){ if (o.dc[i]) dontCares.push(i); else if (o.cells[i]) minterms.push(i); }
+  return { name: o.name, minterms, dontCares, rpn: o.rpn };
+}
+
+/* replace the outputs shown on the current K-Map; list: [{name, minterms, dontCares, rpn}] */
+function setOutputs(list, active = 0){
+  const total = currentKMap.total;
+  outputs = list.map(o => {
+    const cells = new Array(total).fill(0), dc = new Array(total).fill(false);
+    for (const m of o.minterms) if (m < total) cells[m] = 1;
+    for (const d of o.dontCares || []) if (d < total){ dc[d] = true; cells[d] = 0; }
+    return { name: o.name, cells, dc, rpn: o.rpn || null };
+  });
+  selectOutput(Math.min(active, outputs.length - 1), false);
+  syncTruthTable();
+}
+
+// show output i on the K-Map (its arrays become currentKMap.cells / dc)
+function selectOutput(i, simplify = true){
+  activeOutput = i;
+  currentKMap.cells = outputs[i].cells; currentKMap.dc = outputs[i].dc;
+  drawKMapGroups([]);
+  refreshKMapCells();
+  renderOutputTabs();
+  if (!simplify){ updatePills(); return; }
+  simplifyFromKMap();
+  if (outputs[i].rpn){
+    currentRPN = outputs[i].rpn;
+    renderDerivation(deriveSimplification(currentRPN, currentKMap.vars, qmSimplify(collectMintermsFromKMap(), currentKMap.vars)), currentKMap.vars);
+  }
+}
+
+function renderOutputTabs(){
+  const box = $('output-tabs');
+  box.hidden = outputs.length < 2;
+  box.innerHTML = outputs.length < 2 ? '' : outputs.map((o, i) =>
+    `<button class="tab${i === activeOutput ? ' active' : ''}" role="tab" aria-selected="${i === activeOutput}" data-output="${i}">${escapeHTML(o.name)}</button>`).join('');
+}
+
+/*
+ parseOutputDefs(src) — splits "F = A'B; G = AB + C" at ';' / newlines.
+ returns [{ name (null when unnamed), body, offset (of body in src) }]
+*/
+function parseOutputDefs(src){
+  const defs = [];
+  const re = /[^;\n]+/g;
+  let m;
+  while ((m = re.exec(src))){
+    if (!m[0].trim()) continue;
+    const named = m[0].match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=(?![=>])/);
+    defs.push({ name: named ? named[1] : null, body: named ? m[0].slice(named[0].length) : m[0], offset: m.index + (named ? named[0].length : 0) });
+  }
+  return defs;
+}
+
+// F, G, H, … for unnamed outputs; a lone unnamed expression keeps Y
+function defaultOutputName(i, count){ return count === 1 ? 'Y' : (i < 20 ? String.fromCharCode(70 + i) : `Y${i}`); }
+
+/*
+ parseOutputLists(txt) — "F: 1,3,d4; G: 2,5" (one list per output); a plain
+ list without ':' is a single output. returns [{ name, minterms, dontCares }]
+*/
+function parseOutputLists(txt){
+  if (!txt.includes(':')) return [{ name: 'Y', ...parseMintermInput(txt) }];
+  const parts = txt.split(/[;\n]+/).filter(p => p.trim());
+  return parts.map((p, i) => {
+    const m = p.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*:(.*)$/);
+    return m ? { name: m[1], ...parseMintermInput(m[2]) } : { name: defaultOutputName(i, parts.length), ...parseMintermInput(p) };
+  });
+}
+
+// truth table rows with one value (0/1/d) per output, read from the K-Map state
+function outputsTruthRows(){
+  const vars = currentKMap.vars, n = vars.length;
+  return Array.from({length: currentKMap.total}, (_, m) => {
+    const env = {};
+    vars.forEach((v, i) => { env[v] = (m >> (n-1-i)) & 1; });
+    return { m, env, ys: outputs.map(o => o.dc[m] ? 'd' : (o.cells[m] ? 1 : 0)) };
+  });
+}
+
+/* ===== Multi-output panel ===== */
+function renderMultiOutput(){
+  const box = $('multi-result');
+  if (outputs.length < 2){
+    box.innerHTML = '<p class="muted">Butuh minimal 2 output: tulis <code>F = …; G = …</code> atau impor <code>F: 1,3; G: 2,5</code>.</p>';
+    return;
+  }
+  const vars = currentKMap.vars;
+  const lists = outputs.map(outputLists);
+  // from QM_WORKER_VARS variables the shared cover is only computed on request (runMultiOutput)
+  if (vars.length >= QM_WORKER_VARS && !qmCache.has(qmMultiKey(lists, vars.length))){
+    box.innerHTML = `<p class="muted">${vars.length} variabel: klik "Minimisasi Bersama" untuk menghitungnya di worker.</p>`;
+    return;
+  }
+  const res = qmMultiOutput(lists, vars);
+  const names = ks => ks.map(k => escapeHTML(outputs[k].name)).join(', ');
+  let html = '<table class="trace-tbl"><thead><tr><th>Term</th><th>Dipakai oleh</th></tr></thead><tbody>'
+    + res.terms.map(t => `<tr class="${t.outputs.length > 1 ? 'shared' : ''}"><td><code>${escapeHTML(implicantsToSOP([t.mask], vars))}</code></td><td>${names(t.outputs)}</td></tr>`).join('')
+    + '</tbody></table><ul class="trace-primes">'
+    + res.perOutput.map(o => `<li><b>${escapeHTML(o.name)}</b> = <code>${escapeHTML(o.sop)}</code></li>`).join('')
+    + '</ul>';
+  const row = (label, c) => `<tr><th>${label}</th><td>${c.andGates}</td><td>${c.orGates}</td><td><b>${c.gates}</b></td><td><b>${c.literals}</b></td></tr>`;
+  html += '<h4>Biaya (dua tingkat AND–OR)</h4><table class="trace-tbl"><thead><tr><th></th><th>AND</th><th>OR</th><th>Gerbang</th><th>Literal</th></tr></thead><tbody>'
+    + row('Bersama', res.cost) + row('Terpisah', res.separate.cost) + '</tbody></table>'
+    + `<p class="muted">Baris hijau = term yang dipakai bersama. Inverter tidak dihitung; term satu literal tidak butuh gerbang AND; term yang sama di beberapa output (juga pada cover terpisah) dibangun sekali.${res.method === 'separate' ? ' Tidak ada term bersama yang lebih hemat; cover terpisah dipakai ulang.' : ''}</p>`;
+  box.innerHTML = html;
+}
+// btn-multi: large maps get their shared cover from the worker first
+function runMultiOutput(){
+  const box = $('multi-result');
+  const W = currentKMap.vars.length;
+  const outs = outputs.map(o => { const l = outputLists(o); return { minterms: l.minterms, dontCares: l.dontCares }; });
+  if (outputs.length < 2 || W < QM_WORKER_VARS || qmCache.has(qmMultiKey(outs, W))){ renderMultiOutput(); return; }
+  if (qmJob){ box.innerHTML = '<p class="muted">Penyederhanaan masih berjalan; coba lagi setelah selesai.</p>'; return; }
+  box.innerHTML = '<p class="muted">Minimisasi bersama dihitung di worker…</p>';
+  runQMWorker([{ outs, W }]).then(() => renderMultiOutput(), (err) => {
+    box.innerHTML = err.cancelled ? '<p class="muted">Minimisasi bersama dibatalkan.</p>' : `<p class="bad">Minimisasi bersama gagal: ${escapeHTML(err.message)}</p>`;
+  });
+}
+
+/* ===== Variable order ===== */
+// renumber minterms from oldVars order to newVars order (same variable set)
+function permuteMinterms(list, oldVars, newVars){
+  const n = oldVars.length;
+  const from = newVars.map(v => n-1-oldVars.indexOf(v));
+  return list.map(m => from.reduce((acc, bit) => (acc << 1) | ((m >> bit) & 1), 0)).sort((a,b)=>a-b);
+}
+
+/* reorder the current variables; the map, truth table and minterm numbers follow, cell edits are kept */
+function reorderVariables(order){
+  const oldVars = currentKMap.vars;
+  if (!oldVars.length){ alert('Belum ada variabel. Evaluasi ekspresi atau impor minterm dahulu.'); return; }
+  const pick = tok => oldVars.includes(tok) ? tok : oldVars.find(v => v.toUpperCase() === tok.toUpperCase());
+  const next = order.map(pick);
+  if (next.length !== oldVars.length || next.some(v => !v) || new Set(next).size !== next.length){
+    alert(`Urutan harus memuat tepat variabel: ${oldVars.join(', ')}`); return;
+  }
+  const lists = outputs.map(o => {
+    const l = outputLists(o);
+    return { ...l, minterms: permuteMinterms(l.minterms, oldVars, next), dontCares: permuteMinterms(l.dontCares, oldVars, next) };
+  });
+  const active = activeOutput;
+  const hadResult = currentKMap.groups.length > 0;
+  if (currentVars.length === next.length) currentVars = next.slice();
+  initKMap(next);
+  setOutputs(lists, active);
+  if (hadResult) simplifyFromKMap();
+  if (outputs.length > 1) renderMultiOutput();
+  updateSimulation();
+  stateChanged(`Urutan ${next.join(', ')}`);
+}
+
+/* swap the row and column variables (even splits only; sub-map vars stay first) */
+function swapKMapAxes(){
+  const l = currentKMap.layout;
+  if (!l || l.rowVars.length !== l.colVars.length){ alert('Tukar baris/kolom hanya untuk K-Map 2, 4, atau 6 variabel.'); return; }
+  reorderVariables([...l.subVars, ...l.colVars, ...l.rowVars]);
+}
+
+/* ===== Static hazards ===== */
+/*
+ staticHazards(impls, need, n)
+ Adjacent required cells (1s for SOP; 0s for POS, whose cubes cover the zeros)
+ that no single implicant of the cover spans: the output can glitch while the
+ one differing variable changes.
+ returns [{ a, b, bit }] with a < b and bit the index of the changing variable
+*/
+function staticHazards(impls, need, n){
+  const set = new Set(need), out = [];
+  for (const a of need){
+    for (let i=0;i<n;i++){
+      const b = a ^ (1 << (n-1-i));
+      if (b < a || !set.has(b)) continue;
+      const ba = toBin(a, n), bb = toBin(b, n);
+      if (!impls.some(c => covers(c, ba) && covers(c, bb))) out.push({ a, b, bit: i });
+    }
+  }
+  return out.sort((x, y) => x.a - y.a || x.b - y.b);
+}
+
+/*
+ hazardConsensus(hazards, impls, need, dontCares, n)
+ For every hazard not yet spanned, the pair cube grown to a prime (literals
+ dropped while it stays inside need ∪ dontCares): the consensus term of the two
+ implicants. Sets h.fixedBy on each hazard; returns the added masks.
+*/
+function hazardConsensus(hazards, impls, need, dontCares, n){
+  const allowed = new Set([...need, ...dontCares]);
+  const inside = c => termMinterms({ v: parseInt(c.replace(/-/g, '0'), 2), m: parseInt(c.replace(/[01]/g, '0').replace(/-/g, '1'), 2) }).every(m => allowed.has(m));
+  const added = [];
+  for (const h of hazards){
+    const ba = toBin(h.a, n), bb = toBin(h.b, n);
+    h.fixedBy = added.find(c => covers(c, ba) && covers(c, bb));
+    if (h.fixedBy) continue;
+    let c = ba.slice(0, h.bit) + '-' + ba.slice(h.bit + 1);
+    for (let i=0;i<n;i++){
+      const t = c.slice(0, i) + '-' + c.slice(i + 1);
+      if (c[i] !== '-' && inside(t)) c = t;
+    }
+    h.fixedBy = c;
+    added.push(c);
+  }
+  return added;
+}
+
+// res with the hazards of its cover; with hazardFree the consensus terms are appended
+function withHazards(res, need, dontCares, vars){
+  const hazards = staticHazards(res.implicants, need, vars.length);
+  if (!hazardFree || !hazards.length) return { ...res, hazards, consensus: [] };
+  const consensus = hazardConsensus(hazards, res.implicants, need, dontCares, vars.length);
+  const implicants = [...res.implicants, ...consensus];
+  return { ...res, implicants, solutions: [implicants], sop: implicantsToSOP(implicants, vars), hazards, consensus };
+}
+// the cover built by the circuit, HDL and JSON export: the shown result, consensus terms included
+function outputCover(need, dontCares, vars){
+  return withHazards(engineSimplify(need, vars, dontCares), need, dontCares, vars).implicants;
+}
+
+function renderHazards(res, vars, kind){
+  const box = $('hazard-result');
+  const list = res.hazards || [];
+  const type = kind === 'POS' ? 'static-0' : 'static-1';
+  const cell = m => (kind === 'POS' ? 'M' : 'm') + m;
+  const fmt = impls => kind === 'POS' ? implicantsToPOS(impls, vars) : implicantsToSOP(impls, vars);
+  if (!list.length){
+    box.innerHTML = res.implicants.length ? `Tidak ada hazard ${type}: setiap pasangan sel ${kind === 'POS' ? 0 : 1} bertetangga tercakup satu term.` : '';
+    return;
+  }
+  const n = vars.length;
+  const rest = h => vars.map((v, i) => i === h.bit ? null : `${escapeHTML(v)}=${(h.a >> (n-1-i)) & 1}`).filter(Boolean).join(' ');
+  box.innerHTML = `<div class="${res.consensus.length ? 'ok' : 'bad'}">${list.length} hazard ${type}${res.consensus.length ? `, ditutup ${res.consensus.length} term konsensus` : ' (aktifkan "Bebas hazard" untuk menutupnya)'}:</div><ul>`
+    + list.map(h => `<li data-a="${h.a}" data-b="${h.b}">${cell(h.a)} ↔ ${cell(h.b)}: ${escapeHTML(vars[h.bit])} berubah${rest(h) ? ` (${rest(h)})` : ''}`
+      + `${h.fixedBy ? ` — <code>${escapeHTML(fmt([h.fixedBy]))}</code>` : ''}</li>`).join('')
+    + '</ul>';
+}
+function highlightHazard(li){
+  els.kmap.querySelectorAll('.kcell.hazard-hl').forEach(el => el.classList.remove('hazard-hl'));
+  if (!li) return;
+  for (const m of [li.dataset.a, li.dataset.b]){
+    const el = els.kmap.querySelector(`.kcell[data-index="${m}"]`);
+    if (el) el.classList.add('hazard-hl');
+  }
+}
+
 /* ===== Simplify (SOP/POS) and update UI ===== */
 function simplifyFromKMap(){
   const n = currentKMap.n; const vars = currentKMap.vars;
-  if (!currentKMap.layout) { $('out-simplified').textContent = '—'; return; }
-  if (n === 0){ $('out-simplified').textContent = currentKMap.cells[0] ? '1' : '0'; return; }
+  $('out-alternatives').textContent = ''; $('hazard-result').innerHTML = ''; renderQMTrace(null); drawKMapGroups([]);
+  if (!n) { $('out-simplified').textContent = '—'; renderNormalForms(); renderCircuit(); return; }
 
   const ms = collectMintermsFromKMap();
   const ds = collectDontCaresFromKMap();
-  if (mode === 'SOP'){
-    const t0 = performance.now();
-    const res = qmSimplify(ms, vars, ds);
-    const t1 = performance.now();
-    $('out-simplified').textContent = res.sop || '0';
-    $('bench-result').textContent = `QM: ${(t1-t0).toFixed(2)} ms (d digunakan untuk grouping)`;
-    setPills(vars, ms, ds, res.sop || '—');
+  // POS: simplify zeros (values==0 and not don't-care); the normal forms need both covers
+  const zeros = Array.from({length: currentKMap.total}, (_,i) => i).filter(i => (!currentKMap.cells[i] && !currentKMap.dc[i]));
+  withQM(n, [[ms, ds], [zeros, ds]], (run) => {
+    const name = engine === 'espresso' ? 'Espresso' : 'QM';
+    if (mode === 'SOP'){
+      const t0 = performance.now();
+      const res = withHazards(engineSimplify(ms, vars, ds), ms, ds, vars);
+      const t1 = performance.now();
+      renderSimplified(res, vars, 'SOP');
+      $('bench-result').textContent = run ? `${name} (worker): ${run.times[0].toFixed(2)} ms (d digunakan untuk grouping)` : `${name}: ${(t1-t0).toFixed(2)} ms (d digunakan untuk grouping)`;
+      setPills(vars, ms, ds, res.sop || '—');
+    } else {
+      const res = withHazards(engineSimplify(zeros, vars, ds), zeros, ds, vars);
+      const pos = implicantsToPOS(res.implicants, vars);
+      renderSimplified(res, vars, 'POS');
+      $('bench-result').textContent = `POS (${name} on zeros): ${zeros.length} zeros simplified`;
+      setPills(vars, ms, ds, pos || '—');
+    }
+    renderNormalForms();
+    renderCircuit();
+    stateChanged();
+  });
+  stateChanged();
+}
+
+/*
+ withQM(W, lists, then) — call then(run) once the cover of every
+ [minterms, dontCares, opts] in lists is in qmCache (opts defaults to the
+ selected engine; {} is exact QM). Small functions run right away
+ (run = null); from QM_WORKER_VARS variables the worker computes them first
+ (run = { results, times }) while the result shows '…'.
+*/
+function withQM(W, lists, then){
+  const jobs = lists.map(([minterms, dontCares, opts = { engine }]) => ({ minterms, W, dontCares, opts }));
+  if (W < QM_WORKER_VARS || jobs.every(j => qmCache.has(qmKey(j.minterms, W, j.dontCares, j.opts)))){ cancelQMWorker(); then(null); return; }
+  $('out-simplified').textContent = '…';
+  runQMWorker(jobs).then(then, (err) => { if (!err.cancelled) alert('Penyederhanaan gagal: ' + err.message); });
+}
+
+/* show the chosen cover, its cost, and every equally minimal alternative */
+function renderSimplified(res, vars, kind){
+  const fmt = impls => kind === 'POS' ? implicantsToPOS(impls, vars) : implicantsToSOP(impls, vars);
+  if (res.implicants.length){
+    // one hoverable span per term, linked to its loop on the K-Map
+    const sep = kind === 'POS' ? ' · ' : ' + ';
+    const consensus = new Set(res.consensus || []);
+    $('out-simplified').innerHTML = res.implicants.map((m, gi) =>
+      `<span class="term${consensus.has(m) ? ' consensus' : ''}" data-group="${gi}" style="border-color:${LOOP_COLORS[gi % LOOP_COLORS.length]}">${escapeHTML(fmt([m]))}</span>`).join(sep);
+  } else $('out-simplified').textContent = kind === 'POS' ? '1' : '0';
+  if (currentKMap.vars.join() === vars.join()) drawKMapGroups(res.implicants, (res.hazards || []).filter(h => !h.fixedBy));
+  const lits = res.implicants.reduce((s,m)=>s + literalCount(m), 0);
+  const status = res.consensus && res.consensus.length ? `Bebas hazard (cover ${kind} + ${res.consensus.length} term konsensus)`
+    : res.trace && res.trace.method === 'espresso' ? 'Heuristik Espresso (tidak dijamin minimal)'
+    : (res.minimal ? 'Terbukti minimal' : 'Belum terbukti minimal (cover greedy)');
+  let html = `${status}: ${res.implicants.length} term, ${lits} literal`;
+  const alts = (res.solutions || []).slice(1);
+  if (alts.length){
+    html += `<br>Alternatif setara (${alts.length}):<ul>` + alts.map(a => `<li><code>${fmt(a)}</code></li>`).join('') + '</ul>';
+  }
+  $('out-alternatives').innerHTML = html;
+  renderHazards(res, vars, kind);
+  renderQMTrace(res, vars, kind);
+  announce(`Hasil ${kind}: ${$('out-simplified').textContent}`);
+}
+
+/* ===== Normal forms panel ===== */
+function renderNormalForms(){
+  const box = $('normal-forms');
+  if (!currentKMap.n){ box.innerHTML = '<p class="muted">Evaluasi ekspresi atau isi K-Map terlebih dahulu.</p>'; return; }
+  const f = normalForms(currentKMap.vars, collectMintermsFromKMap(), collectDontCaresFromKMap());
+  const long = '(terlalu panjang; gunakan notasi di atas)';
+  const row = (label, text) => `<div class="form-out"><span class="muted">${label}</span><code>${escapeHTML(text)}</code>`
+    + `<button class="secondary copy-btn" data-copy="${escapeHTML(text)}" title="Salin">⧉</button></div>`;
+  box.innerHTML =
+    row('SOP kanonik (Σm)', f.sigma) + row('SOP kanonik (diuraikan)', f.sigmaExpanded || long)
+    + row('POS kanonik (ΠM)', f.pi) + row('POS kanonik (diuraikan)', f.piExpanded || long)
+    + '<div class="forms-side">' + row('SOP minimal', f.minSOP) + row('POS minimal', f.minPOS) + '</div>'
+    + row('NAND saja (NAND–NAND)', f.nand) + row('NOR saja (NOR–NOR)', f.nor)
+    + '<p class="muted">Setiap (…)\' adalah satu gerbang NAND / NOR; input yang diinversi memakai gerbang dengan input digabung.</p>';
+}
+
+// copy to clipboard, with a short ✓ on the button
+function copyText(text, btn){
+  const done = () => { if (!btn) return; const old = btn.textContent; btn.textContent = '✓'; setTimeout(()=>{ btn.textContent = old; }, 900); };
+  if (navigator.clipboard && navigator.clipboard.writeText) navigator.clipboard.writeText(text).then(done, ()=>{});
+  else {
+    const ta = document.createElement('textarea');
+    ta.value = text; document.body.appendChild(ta); ta.select();
+    try { document.execCommand('copy'); done(); } finally { ta.remove(); }
+  }
+}
+
+/* ===== Circuit diagram (SVG) ===== */
+const GATE_W = 40, CIRCUIT_COL = 110, CIRCUIT_INK = '#1b2a4a';
+const BUBBLE_GATES = ['NOT', 'NAND', 'NOR', 'XNOR'];
+
+function renderCircuit(){
+  const box = $('circuit');
+  const style = $('circuit-style').value;
+  const vars = currentKMap.vars;
+  const empty = msg => { currentCircuit = null; box.innerHTML = `<p class="muted">${msg}</p>`; updateSimulation(); };
+  if (!currentKMap.n) return empty('Evaluasi ekspresi atau isi K-Map terlebih dahulu.');
+  let net;
+  if (style === 'expr'){
+    if (!currentRPN) return empty('Evaluasi ekspresi untuk menggambar rangkaiannya.');
+    net = circuitFromRPN(currentRPN, currentVars);
   } else {
-    // POS: simplify zeros (values==0 and not don't-care)
-    const all = Array.from({length: currentKMap.total}, (_,i) => i);
-    const zeros = all.filter(i => (!currentKMap.cells[i] && !currentKMap.dc[i]));
-    const res = qmSimplify(zeros, vars, collectDontCaresFromKMap());
-    const pos = implicantsToPOS(res.implicants, vars);
-    $('out-simplified').textContent = pos || '1';
-    $('bench-result').textContent = `POS (QM on zeros): ${zeros.length} zeros simplified`;
-    setPills(vars, collectMintermsFromKMap(), collectDontCaresFromKMap(), pos || '—');
+    const pos = style === 'nor' || (style === 'min' && mode === 'POS');
+    const ds = collectDontCaresFromKMap();
+    const ms = pos ? Array.from({length: currentKMap.total}, (_, i) => i).filter(i => !currentKMap.cells[i] && !currentKMap.dc[i]) : collectMintermsFromKMap();
+    const impls = outputCover(ms, ds, vars);
+    net = circuitFromImplicants(impls, vars, style === 'nand' ? 'NAND' : style === 'nor' ? 'NOR' : (pos ? 'POS' : 'SOP'));
+  }
+  currentCircuit = net;
+  box.innerHTML = circuitSVG(net, outputs[activeOutput] ? outputs[activeOutput].name : 'Y');
+  updateSimulation();
+}
+
+// value of every node; nodes are created after their inputs, so one pass suffices
+function evalNetlist(net, env){
+  const val = [];
+  for (const nd of net.nodes){
+    const a = nd.inputs.map(i => val[i]);
+    const all = a.every(Boolean), any = a.some(Boolean), odd = a.filter(Boolean).length % 2 === 1;
+    switch (nd.type){
+      case 'IN': val[nd.id] = env[nd.name] ? 1 : 0; break;
+      case 'CONST': val[nd.id] = nd.value; break;
+      case 'NOT': val[nd.id] = a[0] ? 0 : 1; break;
+      case 'AND': val[nd.id] = all ? 1 : 0; break;
+      case 'NAND': val[nd.id] = all ? 0 : 1; break;
+      case 'OR': val[nd.id] = any ? 1 : 0; break;
+      case 'NOR': val[nd.id] = any ? 0 : 1; break;
+      case 'XOR': val[nd.id] = odd ? 1 : 0; break;
+      case 'XNOR': val[nd.id] = odd ? 0 : 1; break;
+      default: val[nd.id] = BINARY_OPS[nd.type].fn(Boolean(a[0]), Boolean(a[1])) ? 1 : 0;
+    }
+  }
+  return val;
+}
+
+/*
+ circuitSVG(net, outName) — inputs as vertical rails (with an inverter rail
+ when the complement is used), gates in columns by depth; every gate gets its
+ own horizontal band, so wires never run through a gate body.
+ Gates carry data-node, wires data-src (node ids).
+*/
+function circuitSVG(net, outName){
+  const { nodes } = net;
+  const used = new Set();
+  const mark = id => { if (used.has(id)) return; used.add(id); nodes[id].inputs.forEach(mark); };
+  mark(net.out);
+  const isRail = id => nodes[id].type === 'IN' || (nodes[id].type === 'NOT' && nodes[nodes[id].inputs[0]].type === 'IN');
+
+  const rails = new Map();
+  let x = 24;
+  for (const nd of nodes){
+    if (nd.type !== 'IN' || !used.has(nd.id)) continue;
+    const inv = nodes.find(g => g.type === 'NOT' && g.inputs[0] === nd.id && used.has(g.id));
+    rails.set(nd.id, { x, label: nd.name }); x += 20;
+    if (inv){ rails.set(inv.id, { x, label: nd.name + "'", inv: true, from: x - 20 }); x += 26; }
+  }
+  const x0 = x + 50;
+
+  const level = new Map();
+  const lv = id => {
+    if (isRail(id) || nodes[id].type === 'CONST') return 0;
+    if (!level.has(id)) level.set(id, 1 + Math.max(0, ...nodes[id].inputs.map(lv)));
+    return level.get(id);
+  };
+  // in-order walk: a gate sits between the bands of its first and second half of inputs
+  const order = [], seen = new Set();
+  const visit = id => {
+    if (seen.has(id) || !lv(id)) return;
+    seen.add(id);
+    const kids = [...new Set(nodes[id].inputs)].filter(k => lv(k) && !seen.has(k));
+    const half = Math.ceil(kids.length / 2);
+    kids.slice(0, half).forEach(visit); order.push(id); kids.slice(half).forEach(visit);
+  };
+  visit(net.out);
+
+  const top = 64, box = new Map();
+  let y = top;
+  for (const id of order){
+    const k = nodes[id].inputs.length;
+    const h = nodes[id].type === 'NOT' ? 24 : Math.max(30, k*14 + 4);
+    box.set(id, { x: x0 + (lv(id)-1)*CIRCUIT_COL, y, h });
+    y += h + 16;
+  }
+  const bottom = Math.max(y, top + 30);
+  const outX = id => box.get(id).x + GATE_W + (BUBBLE_GATES.includes(nodes[id].type) && nodes[id].type !== 'NOT' ? 6 : 0);
+  const endX = x0 + Math.max(0, lv(net.out) - 1)*CIRCUIT_COL + GATE_W + 40;
+  const width = endX + 30, height = bottom + 10;
+
+  const parts = [];
+  const line = (d, src) => parts.push(`<path class="wire" data-src="${src}" d="${d}" fill="none" stroke="${CIRCUIT_INK}" stroke-width="1.6"/>`);
+  const dot = (cx, cy, src) => parts.push(`<circle class="wire-dot" data-src="${src}" cx="${cx}" cy="${cy}" r="2.6" fill="${CIRCUIT_INK}"/>`);
+  const text = (tx, ty, t, anchor = 'middle') => parts.push(`<text x="${tx}" y="${ty}" text-anchor="${anchor}" font-size="12" font-family="sans-serif" fill="${CIRCUIT_INK}">${escapeHTML(t)}</text>`);
+
+  // rails (complement rails start at their inverter)
+  for (const [id, r] of rails){
+    text(r.x, 14, r.label);
+    if (!r.inv){ line(`M${r.x},22 V${bottom}`, id); continue; }
+    line(`M${r.from},30 H${r.x} V32`, nodes[id].inputs[0]); dot(r.from, 30, nodes[id].inputs[0]);
+    parts.push(`<g class="gate" data-node="${id}"><path d="M${r.x-7},32 L${r.x+7},32 L${r.x},44 Z" fill="#fff" stroke="${CIRCUIT_INK}" stroke-width="1.4"/><circle cx="${r.x}" cy="47" r="3" fill="#fff" stroke="${CIRCUIT_INK}" stroke-width="1.4"/></g>`);
+    line(`M${r.x},50 V${bottom}`, id);
+  }
+
+  // wires into every gate input; gate-to-gate wires turn in a per-column channel
+  const slots = new Map();
+  const connect = (src, px, py, gx) => {
+    if (rails.has(src)){ line(`M${rails.get(src).x},${py} H${px}`, src); dot(rails.get(src).x, py, src); }
+    else if (nodes[src].type === 'CONST'){ line(`M${px-14},${py} H${px}`, src); text(px-18, py+4, String(nodes[src].value), 'end'); }
+    else {
+      const b = box.get(src), sy = b.y + b.h/2;
+      const slot = slots.get(gx) || 0; slots.set(gx, slot + 1);
+      const cx = gx - 14 - (slot % 6)*8;
+      line(`M${outX(src)},${sy} H${cx} V${py} H${px}`, src);
+    }
+  };
+  for (const id of order){
+    const nd = nodes[id], b = box.get(id), k = nd.inputs.length;
+    const curved = ['OR', 'NOR', 'XOR', 'XNOR', 'IMPLIES'].includes(nd.type);
+    nd.inputs.forEach((src, i) => {
+      const t = (i+1)/(k+1), py = b.y + b.h*t;
+      // OR-like bodies have a curved back; run the wire up to it
+      let px = b.x + (curved ? 0.6*GATE_W*t*(1-t) : 0);
+      if (nd.type === 'IMPLIES' && i === 0){ parts.push(`<circle cx="${px-3}" cy="${py}" r="3" fill="#fff" stroke="${CIRCUIT_INK}" stroke-width="1.4"/>`); px -= 6; }
+      connect(src, px, py, b.x);
+    });
+  }
+  for (const id of order) parts.push(gateShape(nodes[id], box.get(id)));
+
+  // output
+  if (nodes[net.out].type === 'CONST') text(endX, top + 14, `${outName} = ${nodes[net.out].value}`, 'end');
+  else {
+    const oy = rails.has(net.out) ? top + 10 : box.get(net.out).y + box.get(net.out).h/2;
+    const from = rails.has(net.out) ? rails.get(net.out).x : outX(net.out);
+    line(`M${from},${oy} H${endX}`, net.out);
+    if (rails.has(net.out)) dot(from, oy, net.out);
+    text(endX + 4, oy + 4, outName, 'start');
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Rangkaian gerbang logika">`
+    + `<rect width="100%" height="100%" fill="#fff"/>${parts.join('')}</svg>`;
+}
+
+function gateShape(nd, b){
+  const { x, y, h } = b, w = GATE_W, ym = y + h/2;
+  const stroke = `fill="#fff" stroke="${CIRCUIT_INK}" stroke-width="1.6"`;
+  const orBody = `M${x},${y} Q${x+0.55*w},${y} ${x+w},${ym} Q${x+0.55*w},${y+h} ${x},${y+h} Q${x+0.3*w},${ym} ${x},${y} Z`;
+  let d;
+  switch (nd.type){
+    case 'AND': case 'NAND': d = `M${x},${y} H${x+0.45*w} C${x+1.18*w},${y} ${x+1.18*w},${y+h} ${x+0.45*w},${y+h} H${x} Z`; break;
+    case 'NOT': d = `M${x},${y} L${x+w-6},${ym} L${x},${y+h} Z`; break;
+    default: d = orBody;
+  }
+  let g = `<g class="gate" data-node="${nd.id}"><title>${nd.type}</title><path d="${d}" ${stroke}/>`;
+  if (['XOR', 'XNOR', 'IFF'].includes(nd.type)) g += `<path d="M${x-7},${y} Q${x+0.3*w-7},${ym} ${x-7},${y+h}" fill="none" stroke="${CIRCUIT_INK}" stroke-width="1.6"/>`;
+  if (BUBBLE_GATES.includes(nd.type) || nd.type === 'IFF') g += `<circle cx="${nd.type === 'NOT' ? x+w-3 : x+w+3}" cy="${ym}" r="3" ${stroke}/>`;
+  return g + '</g>';
+}
+
+/* ===== HDL export (Verilog / VHDL) ===== */
+const HDL_MODULE = 'kmap_logic';
+// keywords of either language (VHDL is case-insensitive) and the testbench's own names
+const HDL_RESERVED = new Set(('module endmodule input output inout wire reg assign always initial begin end if else case endcase for while '
+  + 'integer task function buf not and or xor xnor nand nor timescale abs access after alias all architecture array assert attribute '
+  + 'block body buffer bus component configuration constant downto elsif entity exit file generate generic group guarded impure in '
+  + 'inertial is label library linkage literal loop map mod new next null of on open others out package port postponed procedure '
+  + 'process pure range record register reject rem report return rol ror select severity signal shared sla sll sra srl subtype then '
+  + 'to transport type unaffected units until use variable wait when with std_logic ieee work rtl sim dut errors').split(' '));
+
+/* HDL-safe, case-insensitively unique port names: { original name -> port name } */
+function hdlPortNames(names){
+  const map = {}, taken = new Set();
+  for (const name of names){
+    let base = name.replace(/[^A-Za-z0-9_]/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '') || 'x';
+    if (!/^[A-Za-z]/.test(base)) base = 'p' + base;
+    if (HDL_RESERVED.has(base.toLowerCase())) base += '_s';
+    let port = base;
+    for (let i=2; taken.has(port.toLowerCase()); i++) port = `${base}_${i}`;
+    taken.add(port.toLowerCase());
+    map[name] = port;
+  }
+  return map;
+}
+
+// AST -> HDL expression; every compound operand is parenthesized (VHDL needs it when mixing and/or)
+function astToHDL(n, lang, ports){
+  const v = lang === 'vhdl';
+  const sub = x => (x.op === 'VAR' || x.op === 'CONST' || x.op === 'NOT') ? astToHDL(x, lang, ports) : `(${astToHDL(x, lang, ports)})`;
+  // VHDL 'not' takes a primary, so a nested NOT (A'') is parenthesized
+  const not = x => x.op === 'NOT' ? `not (${astToHDL(x, lang, ports)})` : `not ${sub(x)}`;
+  const [a, b] = n.args || [];
+  switch (n.op){
+    case 'VAR': return ports[n.name];
+    case 'CONST': return v ? `'${n.value}'` : `1'b${n.value}`;
+    case 'NOT': return v ? not(a) : `~${sub(a)}`;
+    case 'AND': return n.args.map(sub).join(v ? ' and ' : ' & ');
+    case 'OR': return n.args.map(sub).join(v ? ' or ' : ' | ');
+    case 'XOR': return v ? `${sub(a)} xor ${sub(b)}` : `${sub(a)} ^ ${sub(b)}`;
+    case 'XNOR': case 'IFF': return v ? `${sub(a)} xnor ${sub(b)}` : `${sub(a)} ~^ ${sub(b)}`;
+    case 'NAND': return v ? `${sub(a)} nand ${sub(b)}` : `~(${sub(a)} & ${sub(b)})`;
+    case 'NOR': return v ? `${sub(a)} nor ${sub(b)}` : `~(${sub(a)} | ${sub(b)})`;
+    case 'IMPLIES': return v ? `(${not(a)}) or ${sub(b)}` : `~${sub(a)} | ${sub(b)}`;
+  }
+  throw new Error('Operator tidak dikenal: ' + n.op);
+}
+
+// SOP (OR of ANDs) or POS (AND of ORs) cover as an AST
+function implicantsToAST(impls, vars, pos){
+  if (!impls.length) return astConst(pos ? 1 : 0);
+  const lit = (i, neg) => neg ? astNot({ op: 'VAR', name: vars[i] }) : { op: 'VAR', name: vars[i] };
+  const terms = impls.map(mask => {
+    const ls = [...mask].map((ch, i) => ch === '-' ? null : lit(i, pos ? ch === '1' : ch === '0')).filter(Boolean);
+    return ls.length ? astNode(pos ? 'OR' : 'AND', ls) : astConst(pos ? 0 : 1);
+  });
+  return astNode(pos ? 'AND' : 'OR', terms);
+}
+
+/*
+ generateHDL(vars, outs, opts)
+ - outs: [{ name, minterms, dontCares, rpn }]; the testbench expects these rows
+   (don't-care rows are not checked)
+ - opts: { lang: 'verilog' | 'vhdl', source: 'expr' | 'sop' | 'pos', testbench, module }
+ returns { text, filename }
+*/
+function generateHDL(vars, outs, opts){
+  const lang = opts.lang, mod = opts.module || HDL_MODULE, n = vars.length, total = 1 << n;
+  const ports = hdlPortNames([...vars, ...outs.map(o => o.name)]);
+  const inP = vars.map(x => ports[x]), outP = outs.map(o => ports[o.name]);
+  const c = lang === 'vhdl' ? '--' : '//';
+  const exprs = outs.map(o => {
+    if (opts.source === 'expr' && o.rpn) return { src: 'ekspresi', ast: rpnToAST(o.rpn) };
+    const pos = opts.source === 'pos';
+    const ms = pos ? Array.from({length: total}, (_, i) => i).filter(i => !o.minterms.includes(i) && !o.dontCares.includes(i)) : o.minterms;
+    return { src: `${pos ? 'POS' : 'SOP'} ${hazardFree ? 'bebas hazard' : 'minimal'}`, ast: implicantsToAST(outputCover(ms, o.dontCares, vars), vars, pos) };
+  });
+  const head = outs.map((o, k) => `${c} ${outP[k]}(${inP.join(', ')}): minterms ${o.minterms.join(', ') || '-'}${o.dontCares.length ? `; don't-cares ${o.dontCares.join(', ')}` : ''} [${exprs[k].src}]`);
+  const lines = [`${c} Generated by Simulator Aljabar Boolean & Karnaugh Map`, ...head, ''];
+  const bits = m => toBin(m, n).split('');
+  const expect = (o, m) => o.dontCares.includes(m) ? null : (o.minterms.includes(m) ? 1 : 0);
+
+  if (lang === 'vhdl'){
+    lines.push('library ieee;', 'use ieee.std_logic_1164.all;', '', `entity ${mod} is`, '  port (',
+      [...inP.map(p => `    ${p} : in  std_logic`), ...outP.map(p => `    ${p} : out std_logic`)].join(';\n'),
+      '  );', `end entity ${mod};`, '', `architecture rtl of ${mod} is`, 'begin',
+      ...outP.map((p, k) => `  ${p} <= ${astToHDL(exprs[k].ast, lang, ports)};`), 'end architecture rtl;');
+    if (opts.testbench){
+      lines.push('', 'library ieee;', 'use ieee.std_logic_1164.all;', '', `entity ${mod}_tb is`, `end entity ${mod}_tb;`, '',
+        `architecture sim of ${mod}_tb is`,
+        `  signal ${inP.join(', ')} : std_logic := '0';`, `  signal ${outP.join(', ')} : std_logic;`, 'begin',
+        `  dut: entity work.${mod} port map (${[...inP, ...outP].map(p => `${p} => ${p}`).join(', ')});`,
+        '  process', '    variable errors : natural := 0;', '  begin');
+      for (let m=0;m<total;m++){
+        lines.push(`    ${inP.map((p, i) => `${p} <= '${bits(m)[i]}';`).join(' ')} wait for 1 ns;`);
+        outs.forEach((o, k) => {
+          const y = expect(o, m);
+          if (y !== null) lines.push(`    if ${outP[k]} /= '${y}' then report "m${m}: ${outP[k]} /= ${y}" severity error; errors := errors + 1; end if;`);
+        });
+      }
+      lines.push(`    if errors = 0 then report "PASS: ${total} rows"; else report "FAIL: " & integer'image(errors) & " mismatches" severity failure; end if;`,
+        '    wait;', '  end process;', 'end architecture sim;');
+    }
+    return { text: lines.join('\n') + '\n', filename: `${mod}.vhd` };
+  }
+
+  lines.push(`module ${mod} (`, [...inP.map(p => `  input  wire ${p}`), ...outP.map(p => `  output wire ${p}`)].join(',\n'), ');',
+    ...outP.map((p, k) => `  assign ${p} = ${astToHDL(exprs[k].ast, lang, ports)};`), 'endmodule');
+  if (opts.testbench){
+    lines.push('', '`timescale 1ns/1ps', `module ${mod}_tb;`, `  reg ${inP.join(', ')};`, `  wire ${outP.join(', ')};`, '  integer errors = 0;', '',
+      `  ${mod} dut (${[...inP, ...outP].map(p => `.${p}(${p})`).join(', ')});`, '', '  initial begin');
+    for (let m=0;m<total;m++){
+      lines.push(`    {${inP.join(', ')}} = ${n}'b${toBin(m, n)}; #1;`);
+      outs.forEach((o, k) => {
+        const y = expect(o, m);
+        if (y !== null) lines.push(`    if (${outP[k]} !== 1'b${y}) begin $display("FAIL m${m}: ${outP[k]}=%b, expected ${y}", ${outP[k]}); errors = errors + 1; end`);
+      });
+    }
+    lines.push(`    if (errors == 0) $display("PASS: ${total} rows"); else $display("FAIL: %0d mismatches", errors);`, '    $finish;', '  end', 'endmodule');
+  }
+  return { text: lines.join('\n') + '\n', filename: `${mod}.v` };
+}
+
+function exportHDL(){
+  if (!currentKMap.n){ alert('Belum ada fungsi untuk diekspor. Evaluasi ekspresi atau impor minterm dahulu.'); return; }
+  const res = generateHDL(currentKMap.vars, outputs.map(outputLists), {
+    lang: $('hdl-lang').value, source: $('hdl-source').value, testbench: $('hdl-tb').checked
+  });
+  const out = $('hdl-out');
+  out.value = res.text; out.dataset.filename = res.filename;
+  out.hidden = false; $('hdl-actions').hidden = false;
+}
+function downloadHDL(){
+  const out = $('hdl-out');
+  const a = document.createElement('a');
+  a.href = 'data:text/plain;charset=utf-8,' + encodeURIComponent(out.value); a.download = out.dataset.filename || 'kmap_logic.v';
+  a.click();
+}
+
+/* ===== Live simulation ===== */
+const SIM_COLORS = { 1: '#1fa463', 0: '#9aa7bf' };
+const SIM_INTERVAL = 800;
+
+const grayCode = i => i ^ (i >> 1);
+function grayIndex(g){ let i = 0; for (; g; g >>= 1) i ^= g; return i; }
+
+function simEnv(){
+  const vars = currentKMap.vars, n = vars.length, env = {};
+  vars.forEach((v, i) => { env[v] = (simInput >> (n-1-i)) & 1; });
+  return env;
+}
+
+// switches for the current variables; rebuilt whenever they change
+function renderSimulation(){
+  const vars = currentKMap.vars;
+  const box = $('sim-switches');
+  if (box.dataset.vars !== vars.join()){ box.dataset.vars = vars.join(); simInput = 0; }
+  box.innerHTML = vars.length ? vars.map(v => `<button class="sim-switch" data-var="${escapeHTML(v)}" aria-pressed="false">${escapeHTML(v)}</button>`).join('')
+    : '<span class="muted">Belum ada variabel.</span>';
+}
+
+/* apply simInput: switches, LEDs, truth-table row, K-Map cell, circuit wires */
+function updateSimulation(){
+  document.querySelectorAll('.sim-row').forEach(el => el.classList.remove('sim-row'));
+  document.querySelectorAll('.kcell.sim').forEach(el => el.classList.remove('sim'));
+  const on = $('sim-mode').checked && currentKMap.n > 0;
+  $('sim-controls').hidden = !on;
+  if (!on){ stopSimulation(); return; }
+  if ($('sim-switches').dataset.vars !== currentKMap.vars.join()) renderSimulation();
+  simInput %= currentKMap.total;
+  const env = simEnv();
+  $('sim-switches').querySelectorAll('.sim-switch').forEach(b => {
+    const v = env[b.dataset.var];
+    b.classList.toggle('on', !!v); b.setAttribute('aria-pressed', String(!!v)); b.textContent = `${b.dataset.var} = ${v}`;
+  });
+  $('sim-leds').innerHTML = outputs.map(o => {
+    const y = o.dc[simInput] ? 'd' : (o.cells[simInput] ? 1 : 0);
+    return `<span class="led-item"><span class="led ${y === 1 ? 'on' : (y === 'd' ? 'dc' : '')}"></span>${escapeHTML(o.name)} = ${y}</span>`;
+  }).join('') + `<span class="muted">m${simInput}</span>`;
+
+  const row = els.ttBody.rows[simInput];
+  if (row) row.classList.add('sim-row');
+  const cell = els.kmap.querySelector(`.kcell[data-index="${simInput}"]`);
+  if (cell) cell.classList.add('sim');
+
+  const svg = $('circuit').querySelector('svg');
+  if (svg && currentCircuit){
+    const val = evalNetlist(currentCircuit, env);
+    svg.querySelectorAll('[data-src]').forEach(el => el.setAttribute(el.tagName === 'circle' ? 'fill' : 'stroke', SIM_COLORS[val[Number(el.dataset.src)]]));
   }
 }
 
+// next input in binary or Gray-code order
+function stepSimulation(){
+  const total = currentKMap.total;
+  if ($('sim-order').value === 'gray') simInput = grayCode((grayIndex(simInput) + 1) % total);
+  else simInput = (simInput + 1) % total;
+  updateSimulation();
+}
+function toggleAutoSimulation(){
+  if (simTimer){ stopSimulation(); return; }
+  simTimer = setInterval(stepSimulation, SIM_INTERVAL);
+  $('btn-sim-auto').textContent = '⏸ Berhenti';
+}
+function stopSimulation(){
+  clearInterval(simTimer); simTimer = null;
+  $('btn-sim-auto').textContent = '▶ Otomatis';
+}
+
+/* ===== Quine–McCluskey trace viewer ===== */
+function renderQMTrace(res, vars, kind){
+  const tr = res && res.trace;
+  const body = $('qm-trace-body');
+  if (!tr || (!tr.rounds.length && !tr.summary && tr.method !== 'espresso')){ body.innerHTML = '<p class="muted">Belum ada langkah untuk ditampilkan.</p>'; return; }
+  const term = bin => kind === 'POS' ? implicantsToPOS([bin], vars) : implicantsToSOP([bin], vars);
+  const m = kind === 'POS' ? 'M' : 'm';
+  let html = kind === 'POS' ? '<p class="muted">POS: QM dijalankan pada sel 0 (maxterm).</p>' : '';
+  if (tr.method === 'espresso'){
+    body.innerHTML = html + '<h4>Espresso</h4><ol>' + tr.steps.map(st => `<li>${st}</li>`).join('')
+      + `<li>Hasil: <code>${kind === 'POS' ? implicantsToPOS(res.implicants, vars) : implicantsToSOP(res.implicants, vars)}</code></li></ol>`;
+    return;
+  }
+  if (tr.summary){
+    // too large to list: counts and the cover steps only
+    const sm = tr.summary;
+    body.innerHTML = html + `<p class="muted">Fungsi besar: ${sm.rounds} tahap penggabungan, ${sm.primes} prime implicant, ${sm.rows} ${m}. Tabel tiap tahap dan tabel prime implicant tidak ditampilkan.</p>`
+      + `<h4>Pemilihan cover (${tr.method === 'petrick' ? 'Petrick' : 'greedy'})</h4><ol>` + tr.steps.map(st => `<li>${st}</li>`).join('') + '</ol>';
+    return;
+  }
+
+  // combining rounds, grouped by number of ones
+  tr.rounds.forEach((round, ri) => {
+    html += `<h4>Tahap ${ri+1}</h4><table class="trace-tbl"><thead><tr><th>Jumlah 1</th><th>${m}</th><th>Pola</th><th></th></tr></thead><tbody>`;
+    for (const k of Object.keys(round)){
+      round[k].forEach((it, ii) => {
+        html += `<tr class="${ii === 0 ? 'grp-start' : ''}"><td>${ii === 0 ? k : ''}</td><td>${it.minterms.join(',')}</td>`
+          + `<td><code>${it.bin}</code></td><td>${it.used ? '✓' : '<span class="muted">prime</span>'}</td></tr>`;
+      });
+    }
+    html += '</tbody></table>';
+  });
+
+  // prime implicant list
+  html += '<h4>Prime implicant</h4><ul class="trace-primes">';
+  tr.primes.forEach((p, j) => {
+    html += `<li><b>P${j+1}</b> <code>${p.bin}</code> = <code>${term(p.bin)}</code> <span class="muted">(${p.minterms.join(',')})</span></li>`;
+  });
+  html += '</ul>';
+
+  // prime implicant chart
+  const rows = tr.chart.rows;
+  if (rows.length){
+    const ess = new Set(tr.essentials);
+    html += `<h4>Tabel prime implicant</h4><table class="trace-tbl chart"><thead><tr><th></th>${rows.map(x => `<th>${m}${x}</th>`).join('')}</tr></thead><tbody>`;
+    tr.primes.forEach((p, j) => {
+      html += `<tr class="${ess.has(j) ? 'essential' : ''}"><th>P${j+1}${ess.has(j) ? ' *' : ''}</th>`;
+      rows.forEach((_, i) => {
+        const c = tr.chart.cover[i] || [];
+        const mark = !c.includes(j) ? '' : (c.length === 1 ? '⊗' : '×');
+        html += `<td>${mark}</td>`;
+      });
+      html += '</tr>';
+    });
+    html += '</tbody></table><p class="muted">* = prime esensial; ⊗ = satu-satunya penutup.</p>';
+  }
+
+  // cover choices
+  html += `<h4>Pemilihan cover (${tr.method === 'petrick' ? 'Petrick' : 'greedy'})</h4><ol>`
+    + tr.steps.map(st => `<li>${st}</li>`).join('')
+    + `<li>Hasil: <code>${kind === 'POS' ? implicantsToPOS(res.implicants, vars) : implicantsToSOP(res.implicants, vars)}</code></li></ol>`;
+  body.innerHTML = html;
+}
+
 /* ===== Import / Export parsing ===== */
 function parseMintermInput(txt){
   const parts = String(txt || '').split(/[,;\s]+/).map(s=>s.trim()).filter(Boolean);
@@ -489,11 +2497,14 @@ function parseMintermInput(txt){
 
 /* ===== Export K-Map to PNG (canvas) ===== */
 function exportKMapPNG(){
-  if (!currentKMap.layout) { alert('Tidak ada K-Map untuk diekspor (≤4 variabel).'); return; }
-  const cols = currentKMap.layout.cols.length || 1, rows = currentKMap.layout.rows.length || 1;
-  const cellW = 110, cellH = 72, pad = 36;
+  if (!currentKMap.layout) { alert(`Tidak ada K-Map untuk diekspor (≤${MAX_VARS} variabel).`); return; }
+  const layout = currentKMap.layout;
+  const cols = layout.cols.length || 1, rows = layout.rows.length || 1;
+  const multi = layout.subs > 1;
+  const cellW = multi ? 72 : 110, cellH = multi ? 52 : 72, pad = 36, subGap = 28;
+  const colX = c => pad + c*cellW + Math.floor(c / layout.subCols)*subGap;
   const canvas = document.createElement('canvas');
-  canvas.width = pad*2 + cols*cellW;
+  canvas.width = pad*2 + cols*cellW + (layout.subs-1)*subGap;
   canvas.height = pad*2 + rows*cellH + 60;
   const ctx = canvas.getContext('2d');
 
@@ -503,11 +2514,13 @@ function exportKMapPNG(){
   ctx.fillStyle = isLight ? '#0b1324' : '#e8eefc';
   ctx.font = '18px sans-serif';
   ctx.fillText('K-Map', 12, 22);
+  ctx.font = '13px sans-serif';
+  layout.subLabels.forEach((label, s) => ctx.fillText(label, colX(s*layout.subCols), pad + 18));
 
   for (let r=0;r<rows;r++){
     for (let c=0;c<cols;c++){
-      const idx = currentKMap.layout.index({r,c});
-      const x = pad + c*cellW, y = pad + r*cellH + 24;
+      const idx = layout.index({r,c});
+      const x = colX(c), y = pad + r*cellH + 24;
       ctx.strokeStyle = isLight ? '#dfe9ff' : '#263665';
       ctx.lineWidth = 2;
       ctx.strokeRect(x,y,cellW,cellH);
@@ -529,31 +2542,105 @@ function exportKMapPNG(){
       ctx.fillText('m'+idx, x+8, y+14);
     }
   }
+  drawGroupsOnCanvas(ctx, colX, pad + 24, cellW, cellH);
   const url = canvas.toDataURL('image/png');
   const a = document.createElement('a');
   a.href = url; a.download = 'kmap.png';
   a.click();
 }
 
+/* ===== Export circuit diagram (SVG / PNG) ===== */
+function circuitMarkup(){
+  const svg = $('circuit').querySelector('svg');
+  if (!svg){ alert('Belum ada rangkaian untuk diekspor.'); return null; }
+  return new XMLSerializer().serializeToString(svg);
+}
+function exportCircuitSVG(){
+  const markup = circuitMarkup();
+  if (!markup) return;
+  const a = document.createElement('a');
+  a.href = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(markup); a.download = 'rangkaian.svg';
+  a.click();
+}
+function exportCircuitPNG(){
+  const markup = circuitMarkup();
+  if (!markup) return;
+  const svg = $('circuit').querySelector('svg');
+  const w = Number(svg.getAttribute('width')), h = Number(svg.getAttribute('height')), scale = 2;
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = w*scale; canvas.height = h*scale;
+    canvas.getContext('2d').drawImage(img, 0, 0, w*scale, h*scale);
+    const a = document.createElement('a');
+    a.href = canvas.toDataURL('image/png'); a.download = 'rangkaian.png';
+    a.click();
+  };
+  img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(markup);
+}
+
+// same loops as drawKMapGroups; open sides run past the (sub-)map edge and get clipped
+function drawGroupsOnCanvas(ctx, colX, y0, cellW, cellH){
+  const layout = currentKMap.layout;
+  const rows = layout.rows.length || 1;
+  ctx.save();
+  ctx.beginPath();
+  for (let s=0;s<layout.subs;s++) ctx.rect(colX(s*layout.subCols), y0, layout.subCols*cellW, rows*cellH);
+  ctx.clip();
+  ctx.lineWidth = 3;
+  (currentKMap.groups || []).forEach((mask, gi) => {
+    const color = LOOP_COLORS[gi % LOOP_COLORS.length];
+    const inset = 5 + (gi % 3) * 4;
+    for (const rc of implicantRects(mask, currentKMap.layout)){
+      const x = colX(rc.c0) + (rc.open.left ? -cellW/2 : inset);
+      const y = y0 + rc.r0*cellH + (rc.open.top ? -cellH/2 : inset);
+      const x2 = colX(rc.c1) + cellW - (rc.open.right ? -cellW/2 : inset);
+      const y2 = y0 + (rc.r1+1)*cellH - (rc.open.bottom ? -cellH/2 : inset);
+      const rad = 14;
+      ctx.beginPath();
+      ctx.moveTo(x+rad, y);
+      ctx.arcTo(x2, y, x2, y2, rad); ctx.arcTo(x2, y2, x, y2, rad);
+      ctx.arcTo(x, y2, x, y, rad); ctx.arcTo(x, y, x2, y, rad);
+      ctx.closePath();
+      ctx.strokeStyle = color; ctx.stroke();
+    }
+  });
+  ctx.restore();
+}
+
 /* ===== Benchmark QM ===== */
+/*
+ random functions run in the QM worker, so the page stays responsive (and the
+ run can be cancelled); every function goes through both engines
+*/
 async function benchmarkQM(){
-  let n = parseInt(prompt('Jumlah variabel untuk benchmark QM (2-6):', '4'));
-  if (!Number.isInteger(n) || n < 2 || n > 6) n = 4;
+  let n = parseInt(prompt('Jumlah variabel untuk benchmark QM (2-12):', '4'));
+  if (!Number.isInteger(n) || n < 2 || n > 12) n = 4;
   let trials = parseInt(prompt('Jumlah percobaan acak:', '20'));
   if (!Number.isInteger(trials) || trials < 1) trials = 20;
-  const times = [];
-  for (let t=0;t<trials;t++){
-    const max = 1 << n;
+  const jobs = Array.from({length: trials}, () => {
     const mins = [];
-    for (let i=0;i<max;i++) if (Math.random() < 0.28) mins.push(i);
-    const st = performance.now();
-    qmSimplify(mins, Array.from({length:n}, (_,i)=>String.fromCharCode(65+i)), []);
-    const ed = performance.now();
-    times.push(ed-st);
-    if (t%30 === 0) await new Promise(r=>setTimeout(r,0));
-  }
-  const avg = times.reduce((a,b)=>a+b,0) / times.length;
-  $('bench-result').textContent = `Benchmark QM (${n} var, ${trials} runs): avg ${(avg).toFixed(2)} ms`;
+    for (let i=0;i<(1 << n);i++) if (Math.random() < 0.28) mins.push(i);
+    return { minterms: mins, W: n, dontCares: [] };
+  }).flatMap(j => [{ ...j, opts: { engine: 'qm' } }, { ...j, opts: { engine: 'espresso' } }]);
+  try {
+    const { results, times } = await runQMWorker(jobs, { timed: true });
+    const stats = k => {
+      const idx = results.map((_, i) => i).filter(i => i % 2 === k);
+      const avg = list => list.reduce((a,b)=>a+b,0) / idx.length;
+      return { ms: avg(idx.map(i => times[i])), max: Math.max(...idx.map(i => times[i])), terms: avg(idx.map(i => results[i].terms)), literals: avg(idx.map(i => results[i].literals)) };
+    };
+    const qm = stats(0), es = stats(1);
+    let same = 0, worse = 0;
+    for (let i=0;i<results.length;i+=2){
+      const a = results[i], b = results[i+1];
+      if (a.terms === b.terms && a.literals === b.literals) same++;
+      else if (b.terms > a.terms || (b.terms === a.terms && b.literals > a.literals)) worse++;
+    }
+    const line = (name, st) => `${name}: avg ${st.ms.toFixed(2)} ms (max ${st.max.toFixed(2)}), ${st.terms.toFixed(1)} term, ${st.literals.toFixed(1)} literal`;
+    $('bench-result').innerHTML = `Benchmark (${n} var, ${trials} fungsi acak):<br>${line('QM', qm)}<br>${line('Espresso', es)}<br>`
+      + `Espresso sama dengan QM pada ${same}/${trials} fungsi, lebih buruk pada ${worse}, lebih baik pada ${trials - same - worse} (QM fallback greedy).`;
+  } catch (err){ $('bench-result').textContent = err.cancelled ? 'Benchmark QM dibatalkan.' : 'Benchmark QM gagal: ' + err.message; }
 }
 
 /* ===== UI helper: set pills & render truth table ===== */
@@ -567,88 +2654,1216 @@ function updatePills(){
   setPills(currentKMap.vars || [], collectMintermsFromKMap(), collectDontCaresFromKMap(), $('out-simplified').textContent || '—');
 }
 
-function renderTruthTable(vars, rows){
-  const ths = vars.map(v=>`<th>${v}</th>`).join('');
-  $('ttbl').querySelector('thead').innerHTML = `<tr>${ths}<th>Y</th><th class="muted">m</th></tr>`;
+/*
+ comparison table: rows carry f and g (and y = f); rows where they differ
+ get class 'diff'
+*/
+function renderComparisonTable(vars, rows){
+  els.ttBody.dataset.vars = '';
+  const ths = vars.map(v=>`<th>${escapeHTML(v)}</th>`).join('');
+  $('ttbl').querySelector('thead').innerHTML = `<tr>${ths}<th>F</th><th>G</th><th class="muted">m</th></tr>`;
   const body = rows.map(r=>{
     const vs = vars.map(v => `<td>${r.env[v]}</td>`).join('');
-    return `<tr>${vs}<td><b>${r.y}</b></td><td class="muted">${r.m}</td></tr>`;
+    return `<tr class="${r.f !== r.g ? 'diff' : ''}">${vs}<td><b>${r.f}</b></td><td><b>${r.g}</b></td><td class="muted">${r.m}</td></tr>`;
   }).join('');
   $('ttbl').querySelector('tbody').innerHTML = body;
 }
 
+/*
+ one column per output name; rows carry y (single output) or ys.
+ Output cells (.tt-y) are editable from the keyboard like the K-Map, as long
+ as the table still has the map's variables (tbody data-vars).
+*/
+function renderTruthTable(vars, rows, names = ['Y']){
+  const ths = vars.map(v=>`<th>${escapeHTML(v)}</th>`).join('');
+  $('ttbl').querySelector('thead').innerHTML = `<tr>${ths}${names.map(nm => `<th>${escapeHTML(nm)}</th>`).join('')}<th class="muted">m</th></tr>`;
+  const body = rows.map((r, i)=>{
+    const vs = vars.map(v => `<td>${r.env[v]}</td>`).join('');
+    const bits = vars.map(v => `${v}=${r.env[v]}`).join(' ');
+    const ys = (r.ys || [r.y]).map((y, k) => `<td class="tt-y" data-m="${r.m}" data-out="${k}" tabindex="${i === 0 && k === 0 ? 0 : -1}" aria-label="${escapeHTML(`${names[k]}, m${r.m}, ${bits}: ${y === 'd' ? "don't-care" : y}`)}"><b>${y}</b></td>`).join('');
+    return `<tr>${vs}${ys}<td class="muted">${r.m}</td></tr>`;
+  }).join('');
+  els.ttBody.innerHTML = body;
+  els.ttBody.dataset.vars = vars.join();
+  els.ttBody.dataset.outputs = names.join();
+}
+
+// rewrite one output cell from its output's current value
+function paintTruthCell(td){
+  const o = outputs[Number(td.dataset.out)], m = Number(td.dataset.m);
+  const y = o.dc[m] ? 'd' : (o.cells[m] ? 1 : 0);
+  td.innerHTML = `<b>${y}</b>`;
+  td.setAttribute('aria-label', td.getAttribute('aria-label').replace(/[^:]*$/, ' ' + (y === 'd' ? "don't-care" : y)));
+}
+
+/*
+ syncTruthTable(idx) — make #ttbl show the outputs again: only row idx of the
+ active output when just that cell changed, else the whole table (also after a
+ comparison table took its place)
+*/
+function syncTruthTable(idx){
+  updateModifiedNote();
+  if (!currentKMap.n) return;
+  const inSync = els.ttBody.dataset.vars === currentKMap.vars.join() && els.ttBody.dataset.outputs === outputs.map(o => o.name).join();
+  const td = inSync && idx !== undefined ? els.ttBody.querySelector(`.tt-y[data-m="${idx}"][data-out="${activeOutput}"]`) : null;
+  if (td) paintTruthCell(td);
+  else renderTruthTable(currentKMap.vars, outputsTruthRows(), outputs.map(o => o.name));
+}
+
+/*
+ edit output k at row m from the table (click cycles 0→1→d, keys as on the
+ K-Map); that output becomes the active one. Returns the repainted cell.
+*/
+function editTruthCell(td, ev){
+  const m = Number(td.dataset.m), k = Number(td.dataset.out);
+  if (els.ttBody.dataset.vars !== currentKMap.vars.join() || k >= outputs.length || m >= currentKMap.total) return null;
+  if (k !== activeOutput) selectOutput(k, false);
+  setKMapCell(m, ev ? cellKeyValue(ev, m) : nextCellValue(m));
+  return els.ttBody.querySelector(`.tt-y[data-m="${m}"][data-out="${k}"]`);
+}
+
+// minterms where output o no longer matches the expression it was evaluated from
+function outputEdits(o){
+  if (!o.rpn) return [];
+  return buildTruthTable(currentKMap.vars, o.rpn).filter(r => o.dc[r.m] || o.cells[r.m] !== r.y).map(r => r.m);
+}
+
+function updateModifiedNote(){
+  const box = $('expr-modified');
+  const changed = currentKMap.n ? outputs.map(o => ({ name: o.name, ms: outputEdits(o) })).filter(x => x.ms.length) : [];
+  box.hidden = !changed.length;
+  if (!changed.length) return;
+  const list = ms => ms.slice(0, 8).map(m => 'm' + m).join(', ') + (ms.length > 8 ? ', …' : '');
+  $('expr-modified-text').textContent = 'Diubah dari ekspresi: ' + changed.map(x => `${outputs.length > 1 ? x.name + ' ' : ''}(${list(x.ms)})`).join('; ');
+}
+
+/* put every hand-edited output back to its expression's truth table */
+function revertToExpression(){
+  for (const o of outputs){
+    if (!o.rpn) continue;
+    for (const r of buildTruthTable(currentKMap.vars, o.rpn)){ o.cells[r.m] = r.y; o.dc[r.m] = false; }
+  }
+  refreshKMapCells();
+  syncTruthTable();
+  simplifyFromKMap();
+  if (outputs.length > 1) renderMultiOutput();
+  updateSimulation();
+  stateChanged('Kembalikan ke ekspresi');
+}
+
+/* Up/Down walk the rows (wrapping), Left/Right the output columns; 0/1/d/Space edit that output */
+function onTruthTableKey(ev){
+  const td = ev.target.closest('.tt-y');
+  if (!td) return;
+  if (cellKeyValue(ev, 0) !== null){ // Space cycles the cell's own output, so it is resolved in editTruthCell
+    ev.preventDefault();
+    const cell = editTruthCell(td, ev);
+    if (cell){ if (cell !== td) focusCell(td, cell); announce(cell.getAttribute('aria-label')); }
+    return;
+  }
+  const k = Number(td.dataset.out);
+  const tr = td.parentElement, rows = els.ttBody.rows, ys = tr.querySelectorAll('.tt-y');
+  let next = null;
+  switch (ev.key){
+    case 'ArrowUp': next = rows[(tr.sectionRowIndex + rows.length - 1) % rows.length].querySelectorAll('.tt-y')[k]; break;
+    case 'ArrowDown': next = rows[(tr.sectionRowIndex + 1) % rows.length].querySelectorAll('.tt-y')[k]; break;
+    case 'ArrowLeft': next = ys[(k + ys.length - 1) % ys.length]; break;
+    case 'ArrowRight': next = ys[(k + 1) % ys.length]; break;
+    case 'Home': next = rows[0].querySelectorAll('.tt-y')[k]; break;
+    case 'End': next = rows[rows.length - 1].querySelectorAll('.tt-y')[k]; break;
+    default: return;
+  }
+  ev.preventDefault();
+  focusCell(td, next);
+}
+
 /* ===== Import/Export handlers ===== */
 function importMintermsFromInput(){
   const txt = $('minterm-io').value.trim();
   if (!txt){ paintKMapFromMinterms([], []); setPills(currentKMap.vars || [], [], [], '—'); return; }
-  const parsed = parseMintermInput(txt);
-  paintKMapFromMinterms(parsed.minterms, parsed.dontCares);
+  const lists = parseOutputLists(txt);
+  // grow the map (A, B, C, …) when an index does not fit the current variables
+  const top = Math.max(-1, ...lists.flatMap(l => [...l.minterms, ...l.dontCares]));
+  const need = Math.max(2, Math.ceil(Math.log2(top + 1)));
+  if (need > MAX_TABLE_VARS) throw new Error(`Minterm ${top} butuh ${need} variabel; maksimal ${MAX_TABLE_VARS} (minterm ≤ ${2 ** MAX_TABLE_VARS - 1}).`);
+  if (need > currentKMap.n){ currentVars = []; currentRPN = null; initKMap(Array.from({length: need}, (_, i) => String.fromCharCode(65 + i))); }
+  if (lists.length > 1 || lists[0].name !== 'Y'){
+    setOutputs(lists);
+  } else paintKMapFromMinterms(lists[0].minterms, lists[0].dontCares);
   simplifyFromKMap();
+  renderMultiOutput();
 }
 function exportMintermsToInput(){
-  const ms = collectMintermsFromKMap();
-  const ds = collectDontCaresFromKMap();
-  const tokens = [];
-  for (const m of ms) tokens.push(String(m));
-  for (const d of ds) tokens.push('d' + String(d));
-  $('minterm-io').value = tokens.join(',');
+  const list = o => {
+    const l = outputLists(o);
+    return [...l.minterms.map(String), ...l.dontCares.map(d => 'd' + d)].join(',');
+  };
+  $('minterm-io').value = outputs.length > 1 || (outputs[0] && outputs[0].name !== 'Y')
+    ? outputs.map(o => `${o.name}: ${list(o)}`).join('; ')
+    : list(outputs[0] || { name: 'Y', cells: [], dc: [] });
+}
+
+/* ===== Truth table files (CSV / PLA / JSON) ===== */
+const MAX_TABLE_VARS = 12;
+const TABLE_FORMATS = { csv: 'csv', pla: 'pla', json: 'json', txt: 'csv' };
+
+// every minterm of an input cube such as "01-"
+function cubeIndices(cube){
+  let list = [0];
+  for (const ch of cube) list = ch === '-' ? list.flatMap(m => [m*2, m*2 + 1]) : list.map(m => m*2 + (ch === '1' ? 1 : 0));
+  return list;
+}
+
+/*
+ tableFromRows(vars, names, rows, fill)
+ - rows: [{ line, ins: '01-', outs: ['1' | '0' | 'd' | null, ...] }]
+ - fill: value of rows nobody specified: '0', 'd', or 'missing' (0, but reported)
+ 0 against 1 for the same row is contradictory and becomes a don't-care.
+ returns { vars, outputs: [{ name, minterms, dontCares }], contradictory: [{ m, name, lines }], missing: [m] }
+*/
+function tableFromRows(vars, names, rows, fill){
+  const total = 1 << vars.length;
+  const val = names.map(() => new Array(total).fill(null));
+  const lines = names.map(() => new Map());
+  const seen = new Array(total).fill(false);
+  const clash = new Map();
+  for (const r of rows){
+    for (const m of cubeIndices(r.ins)){
+      seen[m] = true;
+      r.outs.forEach((v, k) => {
+        if (v === null) return;
+        const old = val[k][m];
+        if (!lines[k].has(m)) lines[k].set(m, []);
+        lines[k].get(m).push(r.line);
+        if ((old === '0' && v === '1') || (old === '1' && v === '0') || old === 'x'){ val[k][m] = 'x'; clash.set(`${k}:${m}`, { m, name: names[k], lines: lines[k].get(m) }); }
+        else if (old === null || old === 'd') val[k][m] = v;
+      });
+    }
+  }
+  const missing = [];
+  for (let m=0;m<total;m++) if (!seen[m] && fill === 'missing') missing.push(m);
+  const outputs = names.map((name, k) => {
+    const minterms = [], dontCares = [];
+    for (let m=0;m<total;m++){
+      const v = val[k][m] === null ? (fill === 'd' ? 'd' : '0') : val[k][m];
+      if (v === '1') minterms.push(m); else if (v === 'd' || v === 'x') dontCares.push(m);
+    }
+    return { name, minterms, dontCares };
+  });
+  return { vars, outputs, contradictory: [...clash.values()].sort((a, b) => a.m - b.m), missing };
+}
+
+function checkTableNames(vars, names){
+  if (!vars.length) throw new Error('Tabel tidak memiliki kolom input.');
+  if (vars.length > MAX_TABLE_VARS) throw new Error(`Terlalu banyak input (${vars.length}); maksimal ${MAX_TABLE_VARS}.`);
+  if (!names.length) throw new Error('Tabel tidak memiliki kolom output.');
+  const all = [...vars, ...names];
+  const dup = all.find((x, i) => all.indexOf(x) !== i);
+  if (dup) throw new Error(`Nama kolom ${dup} dipakai dua kali.`);
+  const bad = vars.find(v => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(v));
+  if (bad) throw new Error(`Nama variabel "${bad}" tidak valid (huruf, angka, _).`);
+}
+
+/*
+ parseCSVTable(text) — inputs first, then outputs; optional header row (an
+ 'm' column is ignored, a '|' or empty header cell separates inputs from
+ outputs). Without a separator the input count is the one whose 2^n is
+ closest to the number of rows. Values: 0/1, outputs also d/x/- (don't-care).
+*/
+function parseCSVTable(text){
+  const raw = text.split(/\r?\n/).map((l, i) => ({ line: i+1, l: l.trim() })).filter(r => r.l && !r.l.startsWith('#'));
+  if (!raw.length) throw new Error('File CSV kosong.');
+  const delim = raw[0].l.includes(',') ? ',' : (raw[0].l.includes(';') ? ';' : (raw[0].l.includes('\t') ? '\t' : /\s+/));
+  let rows = raw.map(r => ({ line: r.line, cells: r.l.split(delim).map(c => c.trim().replace(/^"(.*)"$/, '$1')) }));
+  const header = rows[0].cells.some(c => !/^[01dDxX-]?$/.test(c) && c !== '|') ? rows.shift().cells : null;
+  const width = (header || rows[0].cells).length;
+  for (const r of rows) if (r.cells.length !== width) throw new Error(`Baris ${r.line}: ${r.cells.length} kolom, seharusnya ${width}.`);
+  let keep = Array.from({length: width}, (_, i) => i);
+  if (header) keep = keep.filter(i => header[i].toLowerCase() !== 'm');
+  let sep = header ? keep.findIndex(i => header[i] === '|' || header[i] === '') : -1;
+  if (sep < 0) sep = keep.findIndex(i => rows.length && rows.every(r => r.cells[i] === '|'));
+  let nIn;
+  if (sep >= 0){ nIn = sep; keep.splice(sep, 1); }
+  else {
+    nIn = 1;
+    for (let k=1;k<keep.length;k++) if (Math.abs(rows.length - (1 << k)) <= Math.abs(rows.length - (1 << nIn))) nIn = k;
+  }
+  const vars = header ? keep.slice(0, nIn).map(i => header[i]) : Array.from({length: nIn}, (_, i) => String.fromCharCode(65 + i));
+  const outCols = keep.slice(nIn);
+  const names = header ? outCols.map(i => header[i]) : outCols.map((_, k) => defaultOutputName(k, outCols.length));
+  checkTableNames(vars, names);
+  const parsed = rows.map(r => {
+    const ins = keep.slice(0, nIn).map(i => r.cells[i]).join('');
+    if (!/^[01-]+$/.test(ins)) throw new Error(`Baris ${r.line}: input harus 0, 1, atau -.`);
+    const outs = outCols.map(i => {
+      const c = r.cells[i].toLowerCase();
+      if (c === '') return null;
+      if (!/^[01dx-]$/.test(c)) throw new Error(`Baris ${r.line}: nilai output "${r.cells[i]}" tidak dikenal.`);
+      return c === '1' || c === '0' ? c : 'd';
+    });
+    return { line: r.line, ins, outs };
+  });
+  return tableFromRows(vars, names, parsed, 'missing');
+}
+
+/*
+ parsePLA(text) — Berkeley PLA (Espresso) .i/.o/.ilb/.ob/.p/.type/.e
+ type fd (default): 1 = on, - = don't-care; fr: 1 = on, 0 = off, rest
+ don't-care; fdr: rows nobody lists are reported as missing; f: on-set only.
+*/
+function parsePLA(text){
+  let ni = null, no = null, ilb = null, ob = null, type = 'fd', declared = null;
+  const cubes = [];
+  text.split(/\r?\n/).forEach((rawLine, idx) => {
+    const line = rawLine.replace(/#.*/, '').trim(), ln = idx + 1;
+    if (!line) return;
+    if (line.startsWith('.')){
+      const [kw, ...args] = line.split(/\s+/);
+      const num = () => { const v = Number(args[0]); if (!Number.isInteger(v) || v < 1) throw new Error(`Baris ${ln}: ${kw} butuh bilangan bulat positif.`); return v; };
+      if (kw === '.i') ni = num();
+      else if (kw === '.o') no = num();
+      else if (kw === '.ilb') ilb = args;
+      else if (kw === '.ob') ob = args;
+      else if (kw === '.p') declared = num();
+      else if (kw === '.type'){
+        if (!['f', 'fd', 'fr', 'fdr'].includes(args[0])) throw new Error(`Baris ${ln}: .type ${args[0] || ''} tidak didukung.`);
+        type = args[0];
+      }
+      else if (kw === '.e' || kw === '.end') return;
+      return; // other directives (.phase, .pair, …) do not change the table
+    }
+    if (ni === null || no === null) throw new Error(`Baris ${ln}: .i dan .o harus ditulis sebelum baris cube.`);
+    const parts = line.split(/\s+/);
+    const ins = parts.length > 1 ? parts[0] : line.slice(0, ni), outs = parts.length > 1 ? parts.slice(1).join('') : line.slice(ni);
+    if (ins.length !== ni) throw new Error(`Baris ${ln}: ${ins.length} input, seharusnya ${ni} (.i ${ni}).`);
+    if (outs.length !== no) throw new Error(`Baris ${ln}: ${outs.length} output, seharusnya ${no} (.o ${no}).`);
+    if (!/^[01-]+$/.test(ins) || !/^[01\-~24]+$/.test(outs)) throw new Error(`Baris ${ln}: karakter cube tidak dikenal.`);
+    const out = ch => ch === '1' || ch === '4' ? '1'
+      : ch === '-' || ch === '2' ? (type === 'f' ? null : 'd')
+      : ch === '0' ? (type === 'fr' || type === 'fdr' ? '0' : null) : null;
+    cubes.push({ line: ln, ins, outs: [...outs].map(out) });
+  });
+  if (ni === null || no === null) throw new Error('File PLA harus memuat .i dan .o.');
+  if (ilb && ilb.length !== ni) throw new Error(`.ilb berisi ${ilb.length} nama, seharusnya ${ni}.`);
+  if (ob && ob.length !== no) throw new Error(`.ob berisi ${ob.length} nama, seharusnya ${no}.`);
+  const vars = ilb || Array.from({length: ni}, (_, i) => String.fromCharCode(65 + i));
+  const names = ob || Array.from({length: no}, (_, k) => defaultOutputName(k, no));
+  checkTableNames(vars, names);
+  const res = tableFromRows(vars, names, cubes, type === 'fr' ? 'd' : (type === 'fdr' ? 'missing' : '0'));
+  res.warnings = declared !== null && declared !== cubes.length ? [`.p menyebut ${declared} cube, ditemukan ${cubes.length}.`] : [];
+  return res;
+}
+
+/* parseTableJSON(text) — the document written by tableToJSON (variables, outputs, mode) */
+function parseTableJSON(text){
+  let doc;
+  try { doc = JSON.parse(text); } catch (e){ throw new Error('JSON tidak valid: ' + e.message); }
+  const vars = doc && doc.variables;
+  if (!Array.isArray(vars) || !vars.every(v => typeof v === 'string')) throw new Error('JSON harus memuat "variables": daftar nama variabel.');
+  const list = Array.isArray(doc.outputs) ? doc.outputs : [{ name: 'Y', minterms: doc.minterms, dontCares: doc.dontCares }];
+  const names = list.map((o, k) => (o && typeof o.name === 'string' && o.name) || defaultOutputName(k, list.length));
+  checkTableNames(vars, names);
+  const total = 1 << vars.length;
+  const ints = (arr, what, name) => {
+    if (arr === undefined) return [];
+    if (!Array.isArray(arr)) throw new Error(`${name}: "${what}" harus berupa daftar.`);
+    const bad = arr.find(m => !Number.isInteger(m) || m < 0 || m >= total);
+    if (bad !== undefined) throw new Error(`${name}: ${what} ${JSON.stringify(bad)} di luar 0…${total-1}.`);
+    return arr;
+  };
+  const rows = [];
+  list.forEach((o, k) => {
+    const outs = () => names.map(() => null);
+    for (const m of ints(o.minterms, 'minterms', names[k])){ const r = outs(); r[k] = '1'; rows.push({ line: 0, ins: toBin(m, vars.length), outs: r }); }
+    for (const m of ints(o.dontCares, 'dontCares', names[k])){ const r = outs(); r[k] = 'd'; rows.push({ line: 0, ins: toBin(m, vars.length), outs: r }); }
+    // a minterm listed as both 1 and don't-care
+    for (const m of (o.minterms || []).filter(x => (o.dontCares || []).includes(x))){ const r = outs(); r[k] = '0'; rows.push({ line: 0, ins: toBin(m, vars.length), outs: r }); }
+  });
+  const res = tableFromRows(vars, names, rows, '0');
+  res.mode = doc.mode === 'POS' ? 'POS' : (doc.mode === 'SOP' ? 'SOP' : null);
+  res.expressions = list.map(o => (o && typeof o.expression === 'string') ? o.expression : null);
+  return res;
+}
+
+function tableToCSV(vars, outs){
+  const lines = [[...vars, ...outs.map(o => o.name)].join(',')];
+  for (let m=0;m<(1 << vars.length);m++){
+    const ys = outs.map(o => o.dontCares.includes(m) ? 'd' : (o.minterms.includes(m) ? '1' : '0'));
+    lines.push([...toBin(m, vars.length).split(''), ...ys].join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+// type fd: one cube per row that is 1 or don't-care for some output
+function tableToPLA(vars, outs){
+  const rows = [];
+  for (let m=0;m<(1 << vars.length);m++){
+    const ys = outs.map(o => o.dontCares.includes(m) ? '-' : (o.minterms.includes(m) ? '1' : '0')).join('');
+    if (/[1-]/.test(ys)) rows.push(`${toBin(m, vars.length)} ${ys}`);
+  }
+  return [`.i ${vars.length}`, `.o ${outs.length}`, `.ilb ${vars.join(' ')}`, `.ob ${outs.map(o => o.name).join(' ')}`, '.type fd', `.p ${rows.length}`, ...rows, '.e'].join('\n') + '\n';
+}
+function tableToJSON(vars, outs){
+  const doc = {
+    format: 'kmap-boolean-table', version: 1, variables: vars, mode,
+    outputs: outs.map(o => {
+      const zeros = Array.from({length: 1 << vars.length}, (_, i) => i).filter(i => !o.minterms.includes(i) && !o.dontCares.includes(i));
+      const res = mode === 'POS' ? implicantsToPOS(outputCover(zeros, o.dontCares, vars), vars) : implicantsToSOP(outputCover(o.minterms, o.dontCares, vars), vars);
+      return { name: o.name, minterms: o.minterms, dontCares: o.dontCares, ...(o.rpn ? { expression: astToString(rpnToAST(o.rpn), vars.some(v => v.length > 1) ? ' ' : '') } : {}), result: res || (mode === 'POS' ? '1' : '0') };
+    })
+  };
+  return JSON.stringify(doc, null, 2) + '\n';
+}
+
+/* load a parsed table (see tableFromRows) into the K-Map, outputs and truth table;
+   returns one note per stored expression that was dropped */
+function applyTable(t){
+  const ident = t.vars.some(v => v.length > 1);
+  const dropped = [];
+  const lists = t.outputs.map((o, k) => {
+    // keep a stored expression only when it still matches the table
+    let rpn = null;
+    const src = t.expressions && t.expressions[k];
+    if (src){
+      try {
+        const r = toRPN(tokenize(src, { identifiers: ident }));
+        const bad = buildTruthTable(t.vars, r).filter(row => !o.dontCares.includes(row.m) && row.y !== (o.minterms.includes(row.m) ? 1 : 0));
+        if (bad.length) dropped.push(`Ekspresi ${o.name} = ${src} tidak cocok dengan tabel (${bad.slice(0, 8).map(row => 'm' + row.m).join(', ')}${bad.length > 8 ? ', …' : ''}); diabaikan.`);
+        else rpn = r;
+      } catch (e){ dropped.push(`Ekspresi ${o.name} = ${src} tidak valid (${e.message}); diabaikan.`); }
+    }
+    return { ...o, rpn };
+  });
+  if (t.mode){ mode = t.mode; $('mode-label').textContent = mode; }
+  // multi-character names only parse back in identifier mode
+  if (ident) $('ident-mode').checked = true;
+  currentVars = t.vars.slice();
+  currentRPN = lists[0].rpn;
+  initKMap(currentVars);
+  setOutputs(lists);
+  simplifyFromKMap();
+  renderDerivation(currentRPN ? deriveSimplification(currentRPN, currentVars, qmSimplify(collectMintermsFromKMap(), currentVars, collectDontCaresFromKMap())) : null, currentVars);
+  renderMultiOutput();
+  return dropped;
+}
+
+async function importTableFile(file){
+  const ext = (file.name.split('.').pop() || '').toLowerCase();
+  const fmt = TABLE_FORMATS[ext] || $('table-format').value;
+  const report = $('table-report');
+  try {
+    const text = await file.text();
+    const t = fmt === 'pla' ? parsePLA(text) : (fmt === 'json' ? parseTableJSON(text) : parseCSVTable(text));
+    const dropped = applyTable(t);
+    stateChanged(`Impor ${file.name}`);
+    const notes = [`${escapeHTML(file.name)}: ${t.vars.length} input (${escapeHTML(t.vars.join(', '))}), ${t.outputs.length} output (${escapeHTML(t.outputs.map(o => o.name).join(', '))}).`];
+    for (const w of t.warnings || []) notes.push(escapeHTML(w));
+    for (const d of dropped) notes.push(`<span class="bad">${escapeHTML(d)}</span>`);
+    if (t.contradictory.length) notes.push(`<span class="bad">Baris kontradiktif (nilai bertentangan, dijadikan don't-care): ${t.contradictory.map(c => `m${c.m} ${escapeHTML(c.name)}${c.lines[0] ? ` (baris ${c.lines.join(', ')})` : ''}`).join('; ')}</span>`);
+    if (t.missing.length) notes.push(`<span class="bad">Baris hilang (dianggap 0): ${t.missing.map(m => 'm' + m).join(', ')}</span>`);
+    report.innerHTML = notes.join('<br>');
+  } catch (e){ report.innerHTML = `<span class="bad">Impor gagal: ${escapeHTML(e.message)}</span>`; }
+}
+
+function exportTableFile(){
+  if (!currentKMap.n){ alert('Belum ada tabel untuk diekspor.'); return; }
+  const fmt = $('table-format').value, vars = currentKMap.vars, outs = outputs.map(outputLists);
+  const text = fmt === 'pla' ? tableToPLA(vars, outs) : (fmt === 'json' ? tableToJSON(vars, outs) : tableToCSV(vars, outs));
+  const a = document.createElement('a');
+  a.href = `data:${fmt === 'json' ? 'application/json' : 'text/plain'};charset=utf-8,` + encodeURIComponent(text);
+  a.download = `tabel.${fmt}`;
+  a.click();
+}
+
+/* ===== Sequential design: state table → excitation K-Maps ===== */
+const FSM_MAX_STATES = 16;
+const FSM_MAX_INPUTS = 4;
+// flip-flop inputs for a Q → Q+ transition, table[Q][Q+]; 'd' = don't-care
+const FF_EXCITATION = {
+  D:  { inputs: ['D'],      table: [[[0], [1]], [[0], [1]]] },
+  T:  { inputs: ['T'],      table: [[[0], [1]], [[1], [0]]] },
+  JK: { inputs: ['J', 'K'], table: [[[0, 'd'], [1, 'd']], [['d', 1], ['d', 0]]] },
+  SR: { inputs: ['S', 'R'], table: [[[0, 'd'], [1, 0]], [[0, 1], ['d', 0]]] }
+};
+const STATE_ASSIGNMENTS = { binary: 'biner', gray: 'Gray', onehot: 'one-hot' };
+
+function fsmNames(src, what){
+  const names = String(src || '').split(/[,;\s]+/).filter(Boolean);
+  const bad = names.find(x => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(x));
+  if (bad) throw new Error(`Nama ${what} "${bad}" tidak valid (huruf, angka, _).`);
+  const dup = names.find((x, i) => names.indexOf(x) !== i);
+  if (dup) throw new Error(`Nama ${what} ${dup} dipakai dua kali.`);
+  return names;
+}
+const fsmRowKey = (t, i) => `${t.states[i >> t.inputs.length]}|${t.inputs.map((v, j) => v + '=' + ((i >> (t.inputs.length - 1 - j)) & 1)).join()}`;
+
+// (re)build fsmTable from the name fields; rows of states / inputs that keep their names keep their entries
+function buildFSMTable(){
+  let states, inputs, outputs;
+  try {
+    states = fsmNames($('fsm-states').value, 'state');
+    inputs = fsmNames($('fsm-inputs').value, 'input');
+    outputs = fsmNames($('fsm-outputs').value, 'output');
+    if (!states.length) throw new Error('Tulis minimal satu state.');
+    if (states.length > FSM_MAX_STATES) throw new Error(`Terlalu banyak state (${states.length}); maksimal ${FSM_MAX_STATES}.`);
+    if (inputs.length > FSM_MAX_INPUTS) throw new Error(`Terlalu banyak input (${inputs.length}); maksimal ${FSM_MAX_INPUTS}.`);
+  } catch (e){ $('fsm-result').innerHTML = `<span class="bad">${escapeHTML(e.message)}</span>`; return false; }
+  const old = new Map();
+  if (fsmTable) fsmTable.rows.forEach((r, i) => old.set(fsmRowKey(fsmTable, i), { next: r.next < 0 ? null : fsmTable.states[r.next], out: new Map(fsmTable.outputs.map((o, k) => [o, r.out[k]])) }));
+  const t = { states, inputs, outputs, rows: [] };
+  for (let i=0;i<states.length << inputs.length;i++){
+    const prev = old.get(fsmRowKey(t, i));
+    let next = i >> inputs.length; // new rows stay in their state
+    if (prev && prev.next === null) next = -1;
+    else if (prev && states.includes(prev.next)) next = states.indexOf(prev.next);
+    t.rows.push({ next, out: outputs.map(o => prev && prev.out.has(o) ? prev.out.get(o) : 0) });
+  }
+  fsmTable = t;
+  renderFSMTable();
+  $('fsm-result').innerHTML = '';
+  return true;
+}
+
+function renderFSMTable(){
+  const t = fsmTable;
+  const tbl = $('fsm-table');
+  tbl.querySelector('thead').innerHTML = `<tr><th>State</th>${t.inputs.map(v => `<th>${escapeHTML(v)}</th>`).join('')}<th>Berikut</th>${t.outputs.map(o => `<th>${escapeHTML(o)}</th>`).join('')}</tr>`;
+  const opt = (value, text, sel) => `<option value="${value}"${sel ? ' selected' : ''}>${escapeHTML(text)}</option>`;
+  tbl.querySelector('tbody').innerHTML = t.rows.map((r, i) => {
+    const s = t.states[i >> t.inputs.length];
+    const bits = t.inputs.map((v, j) => (i >> (t.inputs.length - 1 - j)) & 1);
+    const where = [s, ...t.inputs.map((v, j) => `${v}=${bits[j]}`)].join(', ');
+    return `<tr${bits.every(b => !b) ? ' class="grp-start"' : ''}><th>${escapeHTML(s)}</th>${bits.map(b => `<td>${b}</td>`).join('')}`
+      + `<td><select data-row="${i}" aria-label="${escapeHTML(`State berikut dari ${where}`)}">${opt(-1, '-', r.next < 0)}${t.states.map((x, k) => opt(k, x, r.next === k)).join('')}</select></td>`
+      + t.outputs.map((o, k) => `<td><select data-row="${i}" data-out="${k}" aria-label="${escapeHTML(`${o} pada ${where}`)}">${[0, 1, 'd'].map(v => opt(v, v === 'd' ? '-' : String(v), r.out[k] === v)).join('')}</select></td>`).join('')
+      + '</tr>';
+  }).join('');
+}
+
+/*
+ fsmExcitation(t, assign, ff)
+ State codes from assign ('binary' | 'gray' | 'onehot') on bits Q(k-1)…Q0, then
+ one function per flip-flop input (D1, D0 / J1, K1, …) and per output over the
+ state bits followed by the inputs. Unused state codes and '-' entries are don't-cares.
+ returns { vars, codes, bits, functions: [{ name, minterms, dontCares }] }
+*/
+function fsmExcitation(t, assign, ff){
+  const nIn = t.inputs.length, W = 1 << nIn;
+  const k = assign === 'onehot' ? t.states.length : Math.max(1, Math.ceil(Math.log2(t.states.length)));
+  const codes = t.states.map((_, i) => assign === 'onehot' ? 1 << i : (assign === 'gray' ? grayCode(i) : i));
+  const bits = Array.from({length: k}, (_, j) => 'Q' + (k - 1 - j));
+  const vars = [...bits, ...t.inputs];
+  if (vars.length > MAX_TABLE_VARS) throw new Error(`Butuh ${vars.length} variabel (${k} bit state + ${nIn} input); maksimal ${MAX_TABLE_VARS}.`);
+  const spec = FF_EXCITATION[ff];
+  const names = [...bits.flatMap(b => spec.inputs.map(x => x + b.slice(1))), ...t.outputs];
+  checkTableNames(vars, names);
+  const functions = names.map(name => ({ name, minterms: [], dontCares: [] }));
+  const put = (f, m, v) => { if (v === 'd') f.dontCares.push(m); else if (v) f.minterms.push(m); };
+  const stateOf = new Map(codes.map((c, i) => [c, i]));
+  for (let c=0;c<(1 << k);c++){
+    const s = stateOf.get(c);
+    for (let x=0;x<W;x++){
+      const m = (c << nIn) | x;
+      if (s === undefined){ functions.forEach(f => f.dontCares.push(m)); continue; }
+      const row = t.rows[s * W + x];
+      for (let j=0;j<k;j++){
+        const q = (c >> (k - 1 - j)) & 1;
+        const vals = row.next < 0 ? spec.inputs.map(() => 'd') : spec.table[q][(codes[row.next] >> (k - 1 - j)) & 1];
+        vals.forEach((v, p) => put(functions[j * spec.inputs.length + p], m, v));
+      }
+      row.out.forEach((v, o) => put(functions[k * spec.inputs.length + o], m, v));
+    }
+  }
+  return { vars, codes, bits: k, functions };
+}
+
+// excitation and output functions onto the K-Map (one tab each) with their minimal SOP listed
+function applyFSM(){
+  if (!buildFSMTable()) return;
+  const t = fsmTable, assign = $('fsm-assign').value, ff = $('fsm-ff').value;
+  let ex;
+  try { ex = fsmExcitation(t, assign, ff); }
+  catch (e){ $('fsm-result').innerHTML = `<span class="bad">${escapeHTML(e.message)}</span>`; return; }
+  withQM(ex.vars.length, ex.functions.map(f => [f.minterms, f.dontCares]), () => {
+    clearWorkspace();
+    applyTable({ vars: ex.vars, outputs: ex.functions });
+    stateChanged(`FSM ${ff} (${STATE_ASSIGNMENTS[assign]})`);
+    const used = new Set(ex.codes);
+    const unused = Array.from({length: 1 << ex.bits}, (_, c) => c).filter(c => !used.has(c));
+    $('fsm-result').innerHTML = `<div>Kode state (${STATE_ASSIGNMENTS[assign]}, ${ex.vars.slice(0, ex.bits).join(' ')}): ${t.states.map((s, i) => `${escapeHTML(s)} = ${toBin(ex.codes[i], ex.bits)}`).join(', ')}</div>`
+      + (unused.length ? `<div class="muted">Kode tak terpakai (don't-care): ${unused.length > 16 ? unused.length + ' kode' : unused.map(c => toBin(c, ex.bits)).join(', ')}</div>` : '')
+      + '<ul>' + ex.functions.map(f => `<li><code>${escapeHTML(f.name)} = ${escapeHTML(engineSimplify(f.minterms, ex.vars, f.dontCares).sop || '0')}</code></li>`).join('') + '</ul>'
+      + `<div class="muted">Setiap fungsi tampil sebagai tab di K-Map${ex.vars.length > MAX_VARS ? ' (lebih dari 6 variabel: tanpa grid)' : ''}.</div>`;
+  });
+}
+
+/* ===== Equivalence checker ===== */
+/*
+ compareExpressions(src1, src2, opts)
+ Evaluates both expressions over the union of their variables.
+ returns { vars, rows: [{ m, env, f, g }], diff: [rows where f !== g],
+           relation: 'equivalent' | 'implies' | 'implied-by' | 'neither' }
+ Parse errors are rethrown with err.which = 1 or 2.
+*/
+function compareExpressions(src1, src2, opts = {}){
+  const parse = (src, which) => {
+    try {
+      if (!String(src).trim()) throw new Error('Masukkan ekspresi terlebih dahulu.');
+      const tokens = tokenize(src, opts);
+      return { tokens, rpn: toRPN(tokens) };
+    } catch (e){ e.which = which; throw e; }
+  };
+  const a = parse(src1, 1), b = parse(src2, 2);
+  const vars = collectVars([...a.tokens, ...b.tokens]);
+  const gs = buildTruthTable(vars, b.rpn);
+  const rows = buildTruthTable(vars, a.rpn).map((r, i) => ({ m: r.m, env: r.env, f: r.y, g: gs[i].y, y: r.y }));
+  const diff = rows.filter(r => r.f !== r.g);
+  const fOnly = diff.some(r => r.f && !r.g), gOnly = diff.some(r => r.g && !r.f);
+  const relation = !diff.length ? 'equivalent' : (!fOnly ? 'implies' : (!gOnly ? 'implied-by' : 'neither'));
+  return { vars, rows, diff, relation };
+}
+
+function runComparison(){
+  const src1 = $('expr').value || '', src2 = $('expr2').value || '';
+  showExprError(null); showExprError(null, '', 'expr2');
+  // with several outputs F is the one on the active K-Map tab
+  const defs = parseOutputDefs(src1);
+  const def = defs[Math.min(activeOutput, defs.length - 1)] || { body: src1, offset: 0 };
+  let res;
+  try { res = compareExpressions(def.body, src2, { identifiers: $('ident-mode').checked }); }
+  catch (e){
+    if (e.which !== 2 && Number.isInteger(e.pos)) e.pos += def.offset;
+    if (e.which === 2) showExprError(e, src2, 'expr2'); else showExprError(e, src1);
+    $('compare-result').innerHTML = '';
+    return;
+  }
+  renderComparisonTable(res.vars, res.rows);
+  const relText = {
+    equivalent: '✓ Ekuivalen: F dan G bernilai sama di setiap baris.',
+    implies: '✗ Tidak ekuivalen. F → G (F mengimplikasikan G): setiap baris F = 1 juga G = 1.',
+    'implied-by': '✗ Tidak ekuivalen. G → F (F diimplikasikan oleh G): setiap baris G = 1 juga F = 1.',
+    neither: '✗ Tidak ekuivalen, dan tidak saling mengimplikasikan.'
+  }[res.relation];
+  let html = `<div class="${res.relation === 'equivalent' ? 'ok' : 'bad'}">${relText}</div>`;
+  if (res.diff.length){
+    html += `<div class="muted">Contoh penyangkal (${res.diff.length} baris, ditandai di tabel kebenaran):</div><ul>`
+      + res.diff.map(r => `<li>m${r.m}: ${res.vars.map(v => `${escapeHTML(v)}=${r.env[v]}`).join(', ')} → F=${r.f}, G=${r.g}</li>`).join('')
+      + '</ul>';
+  }
+  $('compare-result').innerHTML = html;
+}
+
+/* ===== Practice mode (quiz) ===== */
+const QUIZ_KEY = 'kmap_quiz';
+const QUIZ_HISTORY_LIMIT = 50;
+
+// random minterm / don't-care lists over n variables; constant functions are redrawn
+function randomQuizFunction(n, dcDensity){
+  const total = 1 << n;
+  for (;;){
+    const minterms = [], dontCares = [];
+    for (let m=0;m<total;m++){
+      if (Math.random() < dcDensity) dontCares.push(m);
+      else if (Math.random() < 0.5) minterms.push(m);
+    }
+    if (minterms.length && minterms.length + dontCares.length < total) return { minterms, dontCares };
+  }
+}
+
+function quizFunctionText(q){
+  const d = q.dontCares.length ? ` + d(${q.dontCares.join(', ')})` : '';
+  return q.form === 'POS' ? `F = ΠM(${quizZeros(q).join(', ')})${d}` : `F = Σm(${q.minterms.join(', ')})${d}`;
+}
+function quizZeros(q){
+  const on = new Set([...q.minterms, ...q.dontCares]);
+  return Array.from({length: 1 << q.vars.length}, (_, i) => i).filter(i => !on.has(i));
+}
+
+/*
+ quizCubes(ast, vars, form)
+ Reads an SOP answer as product cubes, or a POS answer as the cubes of its
+ sum terms over the zeros ('0' = uncomplemented literal, as implicantsToPOS).
+ returns [mask strings], or { error } when the answer is not in that form
+*/
+function quizCubes(ast, vars, form){
+  const outer = form === 'SOP' ? 'OR' : 'AND', inner = form === 'SOP' ? 'AND' : 'OR';
+  const what = form === 'SOP' ? 'jumlah dari perkalian literal' : 'perkalian dari jumlah literal';
+  const cubes = [];
+  for (const t of ast.op === outer ? ast.args : [ast]){
+    const cube = Array(vars.length).fill('-');
+    for (const l of t.op === inner ? t.args : [t]){
+      const neg = l.op === 'NOT';
+      const v = neg ? l.args[0] : l;
+      if (v.op !== 'VAR') return { error: `Jawaban bukan bentuk ${form} (${what}): ${astToString(t)}` };
+      const i = vars.indexOf(v.name);
+      const bit = (form === 'SOP') !== neg ? '1' : '0';
+      if (cube[i] !== '-' && cube[i] !== bit) return { error: `Term ${astToString(t)} memuat ${v.name} sekaligus ${v.name}'` };
+      cube[i] = bit;
+    }
+    cubes.push(cube.join(''));
+  }
+  return cubes;
+}
+
+/*
+ gradeQuizAnswer(q, src)
+ Checks the answer against the truth table (don't-cares free), then its
+ terms against the implicants of the function and the minimal cost of qmSimplify.
+ returns { result: 'minimal' | 'benar' | 'salah', wrong: [{m, want, got}], notes: [html], best }
+ Parse errors (and variables outside the question) are thrown with err.pos.
+*/
+function gradeQuizAnswer(q, src){
+  if (!String(src).trim()) throw new Error('Tulis jawaban terlebih dahulu.');
+  const tokens = tokenize(src);
+  const stray = tokens.find(t => t.type === 'VAR' && !q.vars.includes(t.value));
+  if (stray) throw parseError(`Variabel ${stray.value} tidak ada di soal (gunakan ${q.vars.join(', ')})`, stray.pos, stray.len);
+  const rpn = toRPN(tokens);
+  const n = q.vars.length, pos = q.form === 'POS';
+  const dc = new Set(q.dontCares), on = new Set(q.minterms);
+  const wrong = buildTruthTable(q.vars, rpn)
+    .filter(r => !dc.has(r.m) && r.y !== (on.has(r.m) ? 1 : 0))
+    .map(r => ({ m: r.m, want: on.has(r.m) ? 1 : 0, got: r.y }));
+
+  // SOP terms must stay inside the ones, POS terms inside the zeros (don't-cares allowed in both)
+  const need = pos ? quizZeros(q) : q.minterms;
+  const allowed = new Set([...need, ...q.dontCares]);
+  const best = qmSimplify(need, q.vars, q.dontCares);
+  const fmt = impls => pos ? implicantsToPOS(impls, q.vars) : implicantsToSOP(impls, q.vars);
+  const cell = m => (pos ? 'M' : 'm') + m;
+  const notes = [];
+  const cubes = quizCubes(rpnToAST(rpn), q.vars, q.form);
+  if (cubes.error){
+    notes.push(escapeHTML(cubes.error) + '.');
+    return { result: wrong.length ? 'salah' : 'benar', wrong, notes, best };
+  }
+
+  const isImplicant = c => cubeMinterms([c], n).every(m => allowed.has(m));
+  for (const c of new Set(cubes)){
+    const outside = cubeMinterms([c], n).filter(m => !allowed.has(m));
+    if (outside.length){
+      notes.push(`Term <code>${escapeHTML(fmt([c]))}</code> bukan implicant: ikut mencakup ${outside.slice(0, 4).map(cell).join(', ')}${outside.length > 4 ? ', …' : ''} yang bernilai ${pos ? 1 : 0}.`);
+      continue;
+    }
+    const drop = [...c].findIndex((b, i) => b !== '-' && isImplicant(c.slice(0, i) + '-' + c.slice(i + 1)));
+    if (drop >= 0){
+      const lit = c[drop] === (pos ? '0' : '1') ? q.vars[drop] : q.vars[drop] + "'";
+      notes.push(`Term <code>${escapeHTML(fmt([c]))}</code> bukan prime implicant: literal ${escapeHTML(lit)} dapat dihapus (<code>${escapeHTML(fmt([c.slice(0, drop) + '-' + c.slice(drop + 1)]))}</code>).`);
+    }
+  }
+
+  // essential primes the answer leaves out, with the cell only they cover
+  const { primes, chart, essentials } = best.trace;
+  for (const j of essentials){
+    if (cubes.includes(primes[j].bin)) continue;
+    const i = chart.rows.findIndex((_, r) => chart.cover[r].length === 1 && chart.cover[r][0] === j);
+    notes.push(`Prime implicant esensial <code>${escapeHTML(fmt([primes[j].bin]))}</code> tidak dipakai (hanya dia yang mencakup ${cell(chart.rows[i])}).`);
+  }
+
+  if (!wrong.length){
+    const covered = cubes.map(c => cubeMinterms([c], n).filter(m => !dc.has(m)));
+    cubes.forEach((c, k) => {
+      if (covered[k].every(m => covered.some((o, j) => j !== k && o.includes(m)))) notes.push(`Term <code>${escapeHTML(fmt([c]))}</code> redundan: semua ${pos ? 'maxterm' : 'minterm'}-nya sudah tercakup term lain.`);
+    });
+  }
+  const lits = list => list.reduce((s, c) => s + literalCount(c), 0);
+  const minimal = !wrong.length && cubes.length <= best.implicants.length
+    && (cubes.length < best.implicants.length || lits(cubes) <= lits(best.implicants));
+  if (!wrong.length && !minimal){
+    notes.push(`Jawaban ${cubes.length} term / ${lits(cubes)} literal; ${best.minimal ? 'minimal' : 'cover QM'}: ${best.implicants.length} term / ${lits(best.implicants)} literal.`);
+  }
+  return { result: wrong.length ? 'salah' : (minimal ? 'minimal' : 'benar'), wrong, notes, best };
+}
+
+function newQuiz(){
+  const n = Number($('quiz-vars').value);
+  const form = $('quiz-form').value === 'any' ? (Math.random() < 0.5 ? 'SOP' : 'POS') : $('quiz-form').value;
+  const vars = Array.from({length: n}, (_, i) => String.fromCharCode(65 + i));
+  quiz = { vars, form, ...randomQuizFunction(n, Number($('quiz-dc').value)), result: null };
+  $('quiz-question').innerHTML = `<div>Tentukan <b>${form} minimal</b> dari</div><code>${quizFunctionText(quiz)}</code>`
+    + `<div class="muted">Variabel: ${vars.join(', ')} (${vars[0]} = bit paling kiri)</div>`;
+  $('quiz-answer').value = '';
+  $('quiz-answer').placeholder = form === 'POS' ? "Contoh: (A + B')(A' + C)" : "Contoh: A'B + AC";
+  $('quiz-answer-row').hidden = false;
+  $('quiz-feedback').innerHTML = '';
+  showExprError(null, '', 'quiz-answer');
+  $('quiz-answer').focus();
+}
+
+function checkQuiz(){
+  if (!quiz) return;
+  const src = $('quiz-answer').value || '';
+  showExprError(null, '', 'quiz-answer');
+  let g;
+  try { g = gradeQuizAnswer(quiz, src); }
+  catch (e){ showExprError(e, src, 'quiz-answer'); return; }
+  const head = {
+    minimal: '✓ Benar dan minimal!',
+    benar: `✓ Ekuivalen dengan fungsi, tetapi belum ${quiz.form} minimal.`,
+    salah: `✗ Belum benar: ${g.wrong.length} baris berbeda dari tabel kebenaran.`
+  }[g.result];
+  let html = `<div class="${g.result === 'salah' ? 'bad' : 'ok'}">${head}</div>`;
+  if (g.wrong.length){
+    html += '<ul>' + g.wrong.map(r => `<li>m${r.m} (${quiz.vars.map((v, i) => `${v}=${(r.m >> (quiz.vars.length - 1 - i)) & 1}`).join(' ')}): seharusnya ${r.want}, jawaban ${r.got}</li>`).join('') + '</ul>';
+  }
+  if (g.notes.length) html += '<ul>' + g.notes.map(t => `<li>${t}</li>`).join('') + '</ul>';
+  $('quiz-feedback').innerHTML = html;
+  // only the first attempt at a question counts for the score
+  if (!quiz.result){
+    quiz.result = g.result;
+    recordQuiz(src);
+  }
+}
+
+function revealQuiz(){
+  if (!quiz) return;
+  const pos = quiz.form === 'POS';
+  const best = qmSimplify(pos ? quizZeros(quiz) : quiz.minterms, quiz.vars, quiz.dontCares);
+  const fmt = impls => pos ? implicantsToPOS(impls, quiz.vars) : implicantsToSOP(impls, quiz.vars);
+  $('quiz-feedback').innerHTML = `<div>${quiz.form} minimal: <code>${escapeHTML(fmt(best.implicants))}</code></div>`
+    + (best.solutions.length > 1 ? `<div class="muted">Alternatif setara: ${best.solutions.slice(1).map(s => `<code>${escapeHTML(fmt(s))}</code>`).join(', ')}</div>` : '');
+  if (!quiz.result){
+    quiz.result = 'dilihat';
+    recordQuiz('');
+  }
+}
+
+// opens the question on the K-Map without simplifying it
+function showQuizOnKMap(){
+  if (!quiz) return;
+  clearWorkspace();
+  initKMap(quiz.vars);
+  setOutputs([{ name: 'F', minterms: quiz.minterms, dontCares: quiz.dontCares }]);
+  mode = quiz.form;
+  $('mode-label').textContent = mode;
+  stateChanged('Soal latihan');
+}
+
+function loadQuizHistory(){
+  try { const list = JSON.parse(localStorage.getItem(QUIZ_KEY) || '[]'); return Array.isArray(list) ? list : []; }
+  catch (e){ return []; }
+}
+function recordQuiz(answer){
+  const list = loadQuizHistory();
+  list.unshift({ time: Date.now(), n: quiz.vars.length, form: quiz.form, fn: quizFunctionText(quiz), answer, result: quiz.result });
+  try { localStorage.setItem(QUIZ_KEY, JSON.stringify(list.slice(0, QUIZ_HISTORY_LIMIT))); }
+  catch (e){ alert('Skor tidak dapat disimpan: ' + e.message); }
+  renderQuizHistory();
+}
+
+function renderQuizHistory(){
+  const list = loadQuizHistory();
+  const count = r => list.filter(x => x.result === r).length;
+  $('quiz-score').textContent = list.length
+    ? `Skor: ${count('minimal')} minimal, ${count('benar')} benar belum minimal, ${count('salah')} salah, ${count('dilihat')} dilihat — dari ${list.length} soal (${Math.round(100 * count('minimal') / list.length)}%)`
+    : 'Belum ada soal yang dijawab.';
+  const label = { minimal: '✓ minimal', benar: '≈ belum minimal', salah: '✗ salah', dilihat: '👁 dilihat' };
+  $('quiz-history').innerHTML = list.slice(0, 10).map(x =>
+    `<li><div><b>${label[x.result] || escapeHTML(x.result)}</b> <span class="muted">${new Date(x.time).toLocaleString('id-ID')} · ${x.n} var ${x.form}</span></div>`
+    + `<div><code>${escapeHTML(x.fn)}</code>${x.answer ? ` → <code>${escapeHTML(x.answer)}</code>` : ''}</div></li>`).join('');
+  $('btn-quiz-clear').hidden = !list.length;
+}
+
+/* ===== Inline expression errors ===== */
+function escapeHTML(str){ return String(str).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c])); }
+
+/*
+ showExprError(err, src, id) — message under input #id (default #expr), with
+ the err.pos/err.len span of src underlined (a zero-length span marks the
+ insertion point); showExprError(null) clears it
+*/
+function showExprError(err, src = '', id = 'expr'){
+  const box = $(id + '-error');
+  $(id).classList.toggle('invalid', !!err);
+  $(id).setAttribute('aria-invalid', err ? 'true' : 'false');
+  if (!err){ box.hidden = true; box.innerHTML = ''; return; }
+  let html = `<div>${escapeHTML(err.message)}${Number.isInteger(err.pos) ? ` <span class="muted">(kolom ${err.pos+1})</span>` : ''}</div>`;
+  if (Number.isInteger(err.pos) && src){
+    const a = Math.min(err.pos, src.length), b = Math.min(a + (err.len || 0), src.length);
+    const bad = b > a ? escapeHTML(src.slice(a, b)) : '&nbsp;';
+    html += `<code class="expr-echo">${escapeHTML(src.slice(0, a))}<mark class="${b > a ? '' : 'caret'}">${bad}</mark>${escapeHTML(src.slice(b))}</code>`;
+  }
+  box.innerHTML = html;
+  box.hidden = false;
+}
+
+/* ===== Saved state: URL hash & named sessions ===== */
+const SESSIONS_KEY = 'kmap_sessions';
+
+// cells as hex digits, 4 cells per digit (first cell = most significant bit)
+function bitsToHex(bits){
+  let hex = '';
+  for (let i=0;i<bits.length;i+=4){
+    let v = 0;
+    for (let j=0;j<4;j++) v = v*2 + (bits[i+j] ? 1 : 0);
+    hex += v.toString(16);
+  }
+  return hex;
+}
+function hexToBits(hex, total){
+  if (typeof hex !== 'string' || !/^[0-9a-f]*$/i.test(hex) || hex.length !== Math.ceil(total / 4)) throw new Error('isi sel tidak valid');
+  return Array.from({length: total}, (_, i) => (parseInt(hex[i >> 2], 16) >> (3 - (i & 3))) & 1);
+}
+
+// base64url of the UTF-8 JSON, safe in a URL hash
+function encodeState(st){
+  let bin = '';
+  new TextEncoder().encode(JSON.stringify(st)).forEach(b => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+function decodeState(str){
+  try {
+    const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0))));
+  } catch (e){ throw new Error('data tidak valid'); }
+}
+
+/*
+ captureState() — everything needed to rebuild the page:
+ { v, e: expression text, i: identifier mode, m: mode, g: engine, x: vars, a: active output,
+   o: [{ n: name, c: ones (hex), d: don't-cares (hex) }] }
+*/
+function captureState(){
+  return {
+    v: 1, e: $('expr').value, i: $('ident-mode').checked ? 1 : 0, m: mode, g: engine, z: hazardFree ? 1 : 0,
+    x: currentKMap.vars.slice(), a: activeOutput,
+    o: currentKMap.n ? outputs.map(o => ({ n: o.name, c: bitsToHex(o.cells.map((c, k) => c && !o.dc[k])), d: bitsToHex(o.dc) })) : []
+  };
+}
+
+/* rebuild the page from captureState(); cell values come from the map, the expression is only re-parsed for its derivation / circuit */
+function restoreState(st){
+  // links and sessions are untrusted: variable names must be plain identifiers (they end up in markup)
+  if (!st || !Array.isArray(st.x) || !Array.isArray(st.o) || st.x.length > MAX_TABLE_VARS
+    || !st.x.every(v => typeof v === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(v)) || new Set(st.x).size !== st.x.length) throw new Error('data tidak valid');
+  const vars = st.x, total = 1 << vars.length;
+  const lists = st.o.map((o, k) => {
+    const c = hexToBits(o.c, total), d = hexToBits(o.d, total);
+    const idx = bits => bits.map((b, i) => b ? i : -1).filter(i => i >= 0);
+    return { name: String(o.n || defaultOutputName(k, st.o.length)), minterms: idx(c).filter(i => !d[i]), dontCares: idx(d), rpn: null };
+  });
+  let rpns = [];
+  try { rpns = parseOutputDefs(st.e || '').map(def => toRPN(tokenize(def.body, { identifiers: !!st.i }))); } catch (e){ rpns = []; }
+  if (rpns.length === lists.length && rpns.every(r => r.every(t => t.type !== 'VAR' || vars.includes(t.value)))) lists.forEach((l, k) => { l.rpn = rpns[k]; });
+
+  restoringState = true;
+  try {
+    clearWorkspace();
+    $('expr').value = st.e || ''; $('ident-mode').checked = !!st.i;
+    showExprError(null);
+    mode = st.m === 'POS' ? 'POS' : 'SOP'; $('mode-label').textContent = mode;
+    engine = st.g === 'espresso' ? 'espresso' : 'qm'; $('engine-select').value = engine;
+    hazardFree = !!st.z; $('hazard-free').checked = hazardFree;
+    if (!vars.length || !lists.length) return;
+    currentVars = vars.slice();
+    initKMap(currentVars);
+    setOutputs(lists, Math.min(Number(st.a) || 0, lists.length - 1));
+    currentRPN = outputs[activeOutput].rpn;
+    simplifyFromKMap();
+    renderDerivation(currentRPN ? deriveSimplification(currentRPN, currentVars, qmSimplify(collectMintermsFromKMap(), currentVars, collectDontCaresFromKMap())) : null, currentVars);
+    renderMultiOutput();
+  } finally { restoringState = false; }
+}
+
+function writeHash(st){
+  const url = st.x.length || st.e ? '#s=' + encodeState(st) : location.pathname + location.search;
+  if (location.hash !== url) window.history.replaceState(null, '', url);
+}
+
+/*
+ called after every change the user makes: keeps the URL hash in sync and
+ records an undo step. Nested calls (simplifyFromKMap inside an action) record
+ the step once; the outer call's label replaces the generic one.
+*/
+function stateChanged(label){
+  if (restoringState) return;
+  const st = captureState();
+  writeHash(st);
+  recordHistory(st, label);
+}
+
+/* ===== Undo / redo history ===== */
+const HISTORY_LIMIT = 100;
+
+function recordHistory(st, label){
+  const top = undoStack[undoIndex];
+  if (top){
+    const same = JSON.stringify({ ...top.state, a: 0 }) === JSON.stringify({ ...st, a: 0 });
+    if (same){ // only the output tab changed: not a step of its own
+      top.state = st;
+      if (label && top.auto){ top.label = label; top.auto = false; renderHistory(); }
+      return;
+    }
+  }
+  undoStack.splice(undoIndex + 1);
+  undoStack.push({ label: label || 'Perubahan', auto: !label, state: st, time: Date.now() });
+  if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+  undoIndex = undoStack.length - 1;
+  renderHistory();
+}
+
+function resetHistory(label){
+  undoStack = []; undoIndex = -1;
+  recordHistory(captureState(), label);
+}
+
+function jumpToHistory(i){
+  if (i < 0 || i >= undoStack.length || i === undoIndex) return;
+  undoIndex = i;
+  restoreState(undoStack[i].state);
+  writeHash(undoStack[i].state);
+  renderHistory();
+}
+function undo(){ jumpToHistory(undoIndex - 1); }
+function redo(){ jumpToHistory(undoIndex + 1); }
+
+// "F: m(1, 3) d(5)" for every output of a saved state
+function historySummary(st){
+  if (!st.x.length || !st.o.length) return 'K-Map kosong';
+  const total = 1 << st.x.length;
+  return st.o.map(o => {
+    const c = hexToBits(o.c, total), d = hexToBits(o.d, total);
+    const idx = bits => bits.map((b, i) => b ? i : -1).filter(i => i >= 0);
+    const dc = idx(d);
+    return `${st.o.length > 1 ? o.n + ': ' : ''}m(${idx(c).join(', ')})${dc.length ? ` d(${dc.join(', ')})` : ''}`;
+  }).join('; ');
+}
+
+function renderHistory(){
+  $('btn-undo').disabled = undoIndex <= 0;
+  $('btn-redo').disabled = undoIndex >= undoStack.length - 1;
+  $('history-list').innerHTML = undoStack.map((h, i) =>
+    `<li class="${i === undoIndex ? 'current' : (i > undoIndex ? 'undone' : '')}"><button class="history-step" data-index="${i}"${i === undoIndex ? ' aria-current="step"' : ''}>`
+    + `<b>${escapeHTML(h.label)}</b> <span class="muted">${new Date(h.time).toLocaleTimeString('id-ID')}</span>`
+    + `<code>${escapeHTML(historySummary(h.state))}</code></button></li>`).join('');
+}
+
+function restoreFromHash(){
+  const h = location.hash.match(/^#s=([A-Za-z0-9_-]+)$/);
+  if (!h) return;
+  try { restoreState(decodeState(h[1])); stateChanged('Buka tautan'); }
+  catch (e){ alert('Tautan tidak dapat dibuka: ' + e.message); }
+}
+
+function loadSessions(){
+  try { const list = JSON.parse(localStorage.getItem(SESSIONS_KEY) || '[]'); return Array.isArray(list) ? list : []; }
+  catch (e){ return []; }
+}
+function storeSessions(list){
+  try { localStorage.setItem(SESSIONS_KEY, JSON.stringify(list)); return true; }
+  catch (e){ alert('Sesi tidak dapat disimpan: ' + e.message); return false; }
+}
+
+function saveSession(){
+  const name = $('session-name').value.trim() || `Sesi ${new Date().toLocaleString('id-ID')}`;
+  const list = loadSessions().filter(x => x.name !== name);
+  list.unshift({ name, saved: Date.now(), state: captureState() });
+  if (storeSessions(list)){ $('session-name').value = ''; renderSessions(); }
+}
+
+function renderSessions(){
+  const list = loadSessions();
+  $('session-list').innerHTML = list.length ? list.map((x, i) => {
+    const st = x.state || {};
+    const what = st.e ? st.e : (st.x && st.x.length ? `${st.x.join(', ')} (peta)` : 'kosong');
+    return `<li><div><b>${escapeHTML(x.name)}</b> <span class="muted">${new Date(x.saved).toLocaleString('id-ID')} · ${escapeHTML(what)}</span></div>`
+      + `<div class="btn-row"><button class="secondary" data-action="open" data-index="${i}">Buka</button>`
+      + `<button class="secondary" data-action="rename" data-index="${i}">Ganti Nama</button>`
+      + `<button class="secondary" data-action="delete" data-index="${i}">Hapus</button></div></li>`;
+  }).join('') : '<li class="muted">Belum ada sesi tersimpan.</li>';
+}
+
+function sessionAction(action, i){
+  const list = loadSessions();
+  const x = list[i];
+  if (!x) return;
+  if (action === 'open'){
+    try { restoreState(x.state); stateChanged(`Buka sesi ${x.name}`); } catch (e){ alert('Sesi tidak dapat dibuka: ' + e.message); }
+  } else if (action === 'rename'){
+    const name = (prompt('Nama baru sesi:', x.name) || '').trim();
+    if (!name || name === x.name) return;
+    if (list.some((y, j) => j !== i && y.name === name)){ alert(`Sesi bernama ${name} sudah ada.`); return; }
+    x.name = name;
+    if (storeSessions(list)) renderSessions();
+  } else if (action === 'delete'){
+    if (!confirm(`Hapus sesi ${x.name}?`)) return;
+    list.splice(i, 1);
+    if (storeSessions(list)) renderSessions();
+  }
+}
+
+/* ===== Clear everything (btn-clear) ===== */
+function clearWorkspace(){
+  $('expr').value = '';
+  currentVars = []; currentRPN = null;
+  $('ttbl').querySelector('thead').innerHTML = '';
+  $('ttbl').querySelector('tbody').innerHTML = '';
+  renderDerivation(null);
+  $('expr2').value = ''; $('compare-result').innerHTML = '';
+  initKMap([]);
+  renderNormalForms();
+  renderCircuit();
+  renderMultiOutput();
+  $('out-simplified').textContent = '—';
+  $('out-alternatives').textContent = ''; $('hazard-result').innerHTML = ''; renderQMTrace(null);
+  setPills([], [], [], '—');
+  $('minterm-io').value = '';
+  $('bench-result').textContent = '';
 }
 
 /* ===== wiring UI events ===== */
 function wireUI(){
   $('btn-eval').addEventListener('click', ()=>{
+    // untrimmed text, so token offsets line up with what the user typed
+    const expr = $('expr').value || '';
     try {
-      const expr = ($('expr').value || '').trim();
-      if (!expr) { alert('Masukkan ekspresi terlebih dahulu.'); return; }
-      // extract variables automatically
-      const varsFound = (expr.match(/[A-Za-z]/g) || []).map(ch => ch.toUpperCase());
-      const uniq = Array.from(new Set(varsFound)).sort();
-      if (!uniq.length) { alert('Tidak ada variabel terdeteksi. Gunakan huruf A..Z.'); return; }
-      currentVars = uniq.slice(0, 26);
-      // parse to rpn
-      let rpn;
-      try { rpn = toRPN(tokenize(expr)); } catch(e){ alert('Kesalahan parsing: ' + e.message); return; }
-      currentRPN = rpn;
-      // truth table
-      const rows = buildTruthTable(currentVars, currentRPN);
-      renderTruthTable(currentVars, rows);
-      const minFull = rows.filter(r => r.y === 1).map(r => r.m);
-      const kVars = currentVars.slice(0, MAX_VARS);
-      initKMap(kVars);
-      if (currentVars.length <= MAX_VARS) paintKMapFromMinterms(minFull, []);
-      if (currentVars.length <= MAX_VARS){
-        const { sop } = qmSimplify(minFull, kVars, []);
-        $('out-simplified').textContent = sop || '—';
-        setPills(kVars, minFull, [], sop || '—');
-      } else {
-        $('out-simplified').textContent = '— (K-Map sampai 4 variabel)';
-        setPills(currentVars, minFull, [], '—');
-      }
-    } catch (err){ alert('Kesalahan: ' + err.message); }
+      showExprError(null);
+      if (!expr.trim()) { showExprError(new Error('Masukkan ekspresi terlebih dahulu.'), expr); return; }
+      // one definition per output ("F = …; G = …"); parse each to rpn, variables come from all tokens
+      const defs = parseOutputDefs(expr);
+      const parsed = [];
+      try {
+        defs.forEach((d, i) => {
+          const name = d.name || defaultOutputName(i, defs.length);
+          if (parsed.some(p => p.name === name)) throw parseError(`Nama output ${name} dipakai dua kali.`, d.offset - 1, 0);
+          if (!d.body.trim()) throw parseError(`Ekspresi untuk ${name} kosong.`, d.offset, 0);
+          try {
+            const tokens = tokenize(d.body, { identifiers: $('ident-mode').checked });
+            parsed.push({ name, tokens, rpn: toRPN(tokens) });
+          } catch (e){ if (Number.isInteger(e.pos)) e.pos += d.offset; throw e; }
+        });
+      } catch(e){ showExprError(e, expr); return; }
+      const uniq = collectVars(parsed.flatMap(p => p.tokens));
+      if (!uniq.length) { showExprError(new Error('Tidak ada variabel terdeteksi. Gunakan huruf A..Z (atau nama di mode identifier).'), expr); return; }
+      if (uniq.length > MAX_TABLE_VARS) { showExprError(new Error(`Terlalu banyak variabel (${uniq.length}); maksimal ${MAX_TABLE_VARS}.`), expr); return; }
+      currentVars = uniq;
+      currentRPN = parsed[0].rpn;
+      // above MAX_VARS no grid is drawn, but the function is still simplified; setOutputs fills the truth table
+      const tables = parsed.map(p => buildTruthTable(currentVars, p.rpn));
+      initKMap(currentVars);
+      setOutputs(parsed.map((p, k) => ({ name: p.name, rpn: p.rpn, minterms: tables[k].filter(r => r.y === 1).map(r => r.m), dontCares: [] })));
+      const minFull = collectMintermsFromKMap();
+      const zeros = Array.from({length: currentKMap.total}, (_,i) => i).filter(i => !currentKMap.cells[i]);
+      // with Espresso shown, the exact QM cover for the derivation is a job of its own
+      withQM(currentVars.length, [[minFull, []], [zeros, []], ...(engine === 'espresso' ? [[minFull, [], {}]] : [])], () => {
+        const res = engineSimplify(minFull, currentVars, []);
+        const shown = withHazards(res, minFull, [], currentVars);
+        renderSimplified(shown, currentVars, 'SOP');
+        setPills(currentVars, minFull, [], shown.sop || '—');
+        // the derivation is always checked against exact QM, whichever engine is shown
+        renderDerivation(deriveSimplification(currentRPN, currentVars, engine === 'qm' ? res : qmSimplify(minFull, currentVars, [])), currentVars);
+        renderNormalForms();
+        renderCircuit();
+        renderMultiOutput();
+      });
+      stateChanged(`Evaluasi ${expr}`);
+    } catch (err){ showExprError(err, expr); }
   });
-
-  $('btn-clear').addEventListener('click', ()=>{
-    $('expr').value = '';
-    currentVars = []; currentRPN = null;
-    $('ttbl').querySelector('thead').innerHTML = '';
-    $('ttbl').querySelector('tbody').innerHTML = '';
-    initKMap([]);
-    $('out-simplified').textContent = '—';
-    setPills([], [], [], '—');
-    $('minterm-io').value = '';
-    $('bench-result').textContent = '';
+  $('expr').addEventListener('input', ()=> showExprError(null));
+  $('expr2').addEventListener('input', ()=> showExprError(null, '', 'expr2'));
+  $('btn-compare').addEventListener('click', ()=> runComparison());
+  $('output-tabs').addEventListener('click', (ev)=>{
+    const t = ev.target.closest('.tab');
+    if (t) selectOutput(Number(t.dataset.output));
+  });
+  $('btn-multi').addEventListener('click', ()=> runMultiOutput());
+  $('normal-forms').addEventListener('click', (ev)=>{
+    const b = ev.target.closest('.copy-btn');
+    if (b) copyText(b.dataset.copy, b);
   });
 
+  $('btn-clear').addEventListener('click', ()=>{ clearWorkspace(); stateChanged('Bersihkan'); });
+
   $('btn-reset').addEventListener('click', ()=>{
     paintKMapFromMinterms([], []);
     $('out-simplified').textContent = '—';
+    $('out-alternatives').textContent = ''; $('hazard-result').innerHTML = ''; renderQMTrace(null);
     setPills(currentKMap.vars || [], [], [], '—');
+    stateChanged('Reset K-Map');
   });
 
   $('btn-simplify').addEventListener('click', ()=> simplifyFromKMap());
-  $('btn-import').addEventListener('click', ()=> importMintermsFromInput());
+  $('btn-var-order').addEventListener('click', ()=> reorderVariables(els.varOrder.value.split(/[,;\s]+/).filter(Boolean)));
+  els.varOrder.addEventListener('keydown', (ev)=>{ if (ev.key === 'Enter') $('btn-var-order').click(); });
+  $('btn-swap-axes').addEventListener('click', ()=> swapKMapAxes());
+  $('btn-import').addEventListener('click', ()=>{
+    try { importMintermsFromInput(); stateChanged('Impor minterm'); }
+    catch (e){ alert('Impor gagal: ' + e.message); }
+  });
   $('btn-export').addEventListener('click', ()=> exportMintermsToInput());
   $('btn-png').addEventListener('click', ()=> exportKMapPNG());
+  $('btn-circuit-svg').addEventListener('click', ()=> exportCircuitSVG());
+  $('btn-circuit-png').addEventListener('click', ()=> exportCircuitPNG());
+  $('circuit-style').addEventListener('change', ()=> renderCircuit());
+  $('sim-mode').addEventListener('change', ()=> $('sim-mode').checked ? updateSimulation() : renderCircuit());
+  $('sim-switches').addEventListener('click', (ev)=>{
+    const b = ev.target.closest('.sim-switch');
+    if (!b) return;
+    simInput ^= 1 << (currentKMap.n - 1 - currentKMap.vars.indexOf(b.dataset.var));
+    updateSimulation();
+  });
+  $('btn-sim-step').addEventListener('click', ()=> stepSimulation());
+  $('btn-hdl').addEventListener('click', ()=> exportHDL());
+  $('btn-session-save').addEventListener('click', ()=> saveSession());
+  $('session-name').addEventListener('keydown', (ev)=>{ if (ev.key === 'Enter') saveSession(); });
+  $('btn-share').addEventListener('click', ()=>{ stateChanged(); copyText(location.href, $('btn-share')); });
+  $('session-list').addEventListener('click', (ev)=>{
+    const b = ev.target.closest('button[data-action]');
+    if (b) sessionAction(b.dataset.action, Number(b.dataset.index));
+  });
+  window.addEventListener('hashchange', ()=> restoreFromHash());
+  $('btn-fsm-table').addEventListener('click', ()=> buildFSMTable());
+  $('btn-fsm-apply').addEventListener('click', ()=> applyFSM());
+  $('fsm-table').addEventListener('change', (ev)=>{
+    const sel = ev.target.closest('select[data-row]');
+    if (!sel || !fsmTable) return;
+    const row = fsmTable.rows[Number(sel.dataset.row)];
+    if (sel.dataset.out !== undefined) row.out[Number(sel.dataset.out)] = sel.value === 'd' ? 'd' : Number(sel.value);
+    else row.next = Number(sel.value);
+  });
+  $('btn-quiz-new').addEventListener('click', ()=> newQuiz());
+  $('btn-quiz-check').addEventListener('click', ()=> checkQuiz());
+  $('quiz-answer').addEventListener('keydown', (ev)=>{ if (ev.key === 'Enter') checkQuiz(); });
+  $('quiz-answer').addEventListener('input', ()=> showExprError(null, '', 'quiz-answer'));
+  $('btn-quiz-reveal').addEventListener('click', ()=> revealQuiz());
+  $('btn-quiz-map').addEventListener('click', ()=> showQuizOnKMap());
+  $('btn-quiz-clear').addEventListener('click', ()=>{
+    if (!confirm('Hapus riwayat skor latihan?')) return;
+    localStorage.removeItem(QUIZ_KEY);
+    renderQuizHistory();
+  });
+  els.kmap.addEventListener('keydown', onKMapKey);
+  els.ttBody.addEventListener('keydown', onTruthTableKey);
+  els.ttBody.addEventListener('click', (ev)=>{
+    const td = ev.target.closest('.tt-y');
+    if (td) editTruthCell(td);
+  });
+  $('btn-revert').addEventListener('click', ()=> revertToExpression());
+  $('btn-qm-cancel').addEventListener('click', ()=>{
+    cancelQMWorker();
+    if ($('out-simplified').textContent === '…'){ $('out-simplified').textContent = '—'; $('bench-result').textContent = 'QM dibatalkan.'; }
+  });
+  $('btn-undo').addEventListener('click', ()=> undo());
+  $('btn-redo').addEventListener('click', ()=> redo());
+  $('history-list').addEventListener('click', (ev)=>{
+    const b = ev.target.closest('.history-step');
+    if (b) jumpToHistory(Number(b.dataset.index));
+  });
+  // Ctrl+Z / Ctrl+Y (Ctrl+Shift+Z); text fields keep their own undo
+  document.addEventListener('keydown', (ev)=>{
+    if (!(ev.ctrlKey || ev.metaKey) || ev.altKey || ev.target.closest('input, textarea, select')) return;
+    const k = ev.key.toLowerCase();
+    if (k === 'z' && !ev.shiftKey){ ev.preventDefault(); undo(); }
+    else if (k === 'y' || (k === 'z' && ev.shiftKey)){ ev.preventDefault(); redo(); }
+  });
+  $('btn-table-import').addEventListener('click', ()=> $('table-file').click());
+  $('table-file').addEventListener('change', async ()=>{
+    const f = $('table-file').files[0];
+    if (f) await importTableFile(f);
+    $('table-file').value = '';
+  });
+  $('btn-table-export').addEventListener('click', ()=> exportTableFile());
+  $('btn-hdl-copy').addEventListener('click', ()=> copyText($('hdl-out').value, $('btn-hdl-copy')));
+  $('btn-hdl-download').addEventListener('click', ()=> downloadHDL());
+  $('btn-sim-auto').addEventListener('click', ()=> toggleAutoSimulation());
   $('btn-benchmark').addEventListener('click', ()=> benchmarkQM());
   $('theme-toggle').addEventListener('click', ()=> toggleTheme());
   $('btn-print').addEventListener('click', ()=> window.print());
@@ -673,7 +3888,27 @@ function wireUI(){
     mode = (mode === 'SOP') ? 'POS' : 'SOP';
     $('mode-label').textContent = mode;
     simplifyFromKMap();
+    stateChanged(`Mode ${mode}`);
+  });
+  $('engine-select').addEventListener('change', ()=>{
+    engine = $('engine-select').value;
+    simplifyFromKMap();
+    stateChanged(`Engine ${engine === 'espresso' ? 'Espresso' : 'QM'}`);
+  });
+  $('hazard-free').addEventListener('change', ()=>{
+    hazardFree = $('hazard-free').checked;
+    simplifyFromKMap();
+    stateChanged(`Bebas hazard ${hazardFree ? 'aktif' : 'nonaktif'}`);
+  });
+  $('hazard-result').addEventListener('mouseover', (ev)=> highlightHazard(ev.target.closest('li[data-a]')));
+  $('hazard-result').addEventListener('mouseleave', ()=> highlightHazard(null));
+
+  // hovering a term of the simplified result highlights its loop
+  $('out-simplified').addEventListener('mouseover', (ev)=>{
+    const t = ev.target.closest('.term');
+    highlightKMapGroup(t ? Number(t.dataset.group) : null);
   });
+  $('out-simplified').addEventListener('mouseleave', ()=> highlightKMapGroup(null));
 
   // disable text selection context menu on kmap children via delegation
   $('kmap').addEventListener('contextmenu', (ev)=>{
@@ -711,6 +3946,11 @@ function init(){
   wireUI();
   initKMap([]); // empty initial
   setPills([], [], [], '—');
+  renderSessions();
+  renderQuizHistory();
+  buildFSMTable();
+  resetHistory('Awal');
+  restoreFromHash();
 }
 
 /* run init on DOM ready */